@@ -0,0 +1,573 @@
+/**
+ * Encodes animations in the browser, frame by frame, as an animated GIF, an
+ * animated PNG (APNG) or a WebM video. Frames are RGBA arrays like the data of
+ * a canvas (see createCanvas), and all frames of an animation have the same
+ * size.
+ */
+
+/** Formats that createAnimationEncoder can encode to. */
+export const ANIMATION_FORMATS = ['gif', 'apng', 'webm'];
+
+/** The file extension for each format. */
+export const ANIMATION_EXTENSIONS = {gif: 'gif', apng: 'png', webm: 'webm'};
+
+// Easing curves, which map the fraction of the animation's time that has
+// passed to the fraction of the way from its start to its end
+const EASINGS = {
+  'linear': t => t,
+  'ease-in': t => t * t,
+  'ease-out': t => 1 - (1 - t) * (1 - t),
+  'ease-in-out': t => t < 0.5 ? 2 * t * t : 1 - 2 * (1 - t) * (1 - t),
+};
+
+/** The names of the easing curves that getFrameTileCounts accepts. */
+export const EASING_NAMES = Object.keys(EASINGS);
+
+/**
+ * Returns the number of tiles in each of `numFrames` frames of an animation
+ * that grows from `startNumTiles` to `endNumTiles`. The count grows
+ * exponentially, i.e. by the same factor from one frame to the next, along
+ * the given easing curve: with a 'linear' easing, that factor is constant.
+ */
+export function getFrameTileCounts(
+    numFrames, startNumTiles, endNumTiles, easing = 'linear') {
+  const ease = EASINGS[easing] ?? EASINGS.linear;
+  const logRatio = Math.log(endNumTiles / startNumTiles);
+  return Array.from({length: numFrames}, (_, frame) => {
+    const t = numFrames > 1 ? frame / (numFrames - 1) : 1;
+    return Math.round(startNumTiles * Math.exp(logRatio * ease(t)));
+  });
+}
+
+/**
+ * Returns an encoder for an animation of `numFrames` frames at `fps` frames
+ * per second, which loops forever. Call `await addFrame(data)` for each frame
+ * in turn, and then `await finish()` for the encoded Blob. If the animation is
+ * abandoned partway, call `abort()` to free the encoder's resources.
+ */
+export function createAnimationEncoder(
+    format, {width, height, fps, numFrames}) {
+  switch (format) {
+    case 'gif':
+      return createGifEncoder(width, height, fps);
+    case 'apng':
+      return createApngEncoder(width, height, fps, numFrames);
+    case 'webm':
+      return createWebmEncoder(width, height, fps);
+  }
+  throw new Error(`Unknown animation format: ${format}`);
+}
+
+/** Concatenates byte arrays (or arrays of bytes) into one Uint8Array. */
+function concatBytes(arrays) {
+  const length = arrays.reduce((sum, array) => sum + array.length, 0);
+  const bytes = new Uint8Array(length);
+  let offset = 0;
+  for (const array of arrays) {
+    bytes.set(array, offset);
+    offset += array.length;
+  }
+  return bytes;
+}
+
+/** Returns the ASCII codes of a string. */
+const asciiBytes = (string) => [...string].map(char => char.charCodeAt(0));
+
+/** Returns a 16-bit unsigned integer as little-endian bytes. */
+const uint16LE = (value) => [value & 0xff, value >> 8 & 0xff];
+
+/** Returns a 16-bit unsigned integer as big-endian bytes. */
+const uint16BE = (value) => [value >> 8 & 0xff, value & 0xff];
+
+/** Returns a 32-bit unsigned integer as big-endian bytes. */
+const uint32BE = (value) =>
+    [value >>> 24, value >> 16 & 0xff, value >> 8 & 0xff, value & 0xff];
+
+// GIF
+
+/**
+ * Returns the GIF delay of each frame, in hundredths of a second. Rounding
+ * each delay on its own would make the animation run fast or slow, so the
+ * frames' end times are rounded instead.
+ */
+function getGifDelay(frame, fps) {
+  return Math.round(100 * (frame + 1) / fps) - Math.round(100 * frame / fps);
+}
+
+/**
+ * Encodes an animated GIF. Each frame has its own palette of up to 256 colors
+ * (see quantize).
+ */
+function createGifEncoder(width, height, fps) {
+  const chunks = [
+    asciiBytes('GIF89a'),
+    // logical screen descriptor, without a global color table
+    [...uint16LE(width), ...uint16LE(height), 0, 0, 0],
+    // the application extension that makes the animation loop forever
+    [0x21, 0xff, 0x0b, ...asciiBytes('NETSCAPE2.0'), 3, 1, 0, 0, 0],
+  ];
+  let frame = 0;
+  return {
+    async addFrame(data) {
+      const {palette, indexes} = quantize(data, width * height);
+      chunks.push(
+          // graphic control extension, for the frame's delay
+          [0x21, 0xf9, 4, 0, ...uint16LE(getGifDelay(frame, fps)), 0, 0],
+          // image descriptor, with a local color table of 256 colors
+          [0x2c, 0, 0, 0, 0, ...uint16LE(width), ...uint16LE(height), 0x87],
+          palette,
+          [8], // the minimum LZW code size
+          lzwEncode(indexes, 8),
+      );
+      ++frame;
+    },
+    async finish() {
+      chunks.push([0x3b]);
+      return new Blob([concatBytes(chunks)], {type: 'image/gif'});
+    },
+    abort() {},
+  };
+}
+
+/**
+ * Reduces the colors of an RGBA image to a palette of 256 colors. Returns the
+ * palette as 768 RGB bytes, and the index of each pixel's color in it. An
+ * image with at most 256 colors keeps them exactly; otherwise the palette is
+ * found by median cut, on colors rounded to 5 bits per channel.
+ */
+function quantize(data, numPixels) {
+  const palette = new Uint8Array(768);
+  const indexes = new Uint8Array(numPixels);
+  const exactIndexes = new Map();
+  let isExact = true;
+  for (let pixelIndex = 0; pixelIndex < numPixels && isExact; ++pixelIndex) {
+    const red = pixelIndex << 2;
+    const color = data[red] << 16 | data[red + 1] << 8 | data[red + 2];
+    let index = exactIndexes.get(color);
+    if (index === undefined) {
+      index = exactIndexes.size;
+      exactIndexes.set(color, index);
+      isExact = index < 256;
+      if (isExact) {
+        palette.set([data[red], data[red + 1], data[red + 2]], 3 * index);
+      }
+    }
+    indexes[pixelIndex] = index;
+  }
+  if (isExact) {
+    return {palette, indexes};
+  }
+
+  // count the pixels of each 15-bit color
+  const key = (red) =>
+      (data[red] >> 3) << 10 | (data[red + 1] >> 3) << 5 | data[red + 2] >> 3;
+  const counts = new Uint32Array(1 << 15);
+  for (let pixelIndex = 0; pixelIndex < numPixels; ++pixelIndex) {
+    ++counts[key(pixelIndex << 2)];
+  }
+  const channel = (color, shift) => color >> shift & 0x1f;
+  const keys = [];
+  counts.forEach((count, color) => {
+    if (count > 0) {
+      keys.push(color);
+    }
+  });
+
+  // split the box of colors with the most pixels along its widest channel,
+  // at its median pixel, until there are enough boxes
+  const boxes = [keys];
+  const numPixelsIn = (box) =>
+      box.reduce((sum, color) => sum + counts[color], 0);
+  while (boxes.length < 256) {
+    let widest;
+    let boxIndex = -1;
+    let maxPixels = 0;
+    boxes.forEach((box, i) => {
+      if (box.length < 2) {
+        return;
+      }
+      const boxPixels = numPixelsIn(box);
+      if (boxPixels > maxPixels) {
+        maxPixels = boxPixels;
+        boxIndex = i;
+      }
+    });
+    if (boxIndex === -1) {
+      break;
+    }
+    const box = boxes[boxIndex];
+    let maxRange = -1;
+    for (const shift of [10, 5, 0]) {
+      const values = box.map(color => channel(color, shift));
+      const range = values.reduce((a, b) => Math.max(a, b)) -
+          values.reduce((a, b) => Math.min(a, b));
+      if (range > maxRange) {
+        maxRange = range;
+        widest = shift;
+      }
+    }
+    box.sort((a, b) => channel(a, widest) - channel(b, widest));
+    let median = 0;
+    for (let sum = 0; median < box.length - 1 && sum < maxPixels / 2;) {
+      sum += counts[box[median++]];
+    }
+    boxes.splice(boxIndex, 1, box.slice(0, median), box.slice(median));
+  }
+
+  // each palette color is the average of its box, and each 15-bit color maps
+  // to the closest palette color
+  boxes.forEach((box, index) => {
+    const sum = [0, 0, 0];
+    for (const color of box) {
+      sum[0] += channel(color, 10) * counts[color];
+      sum[1] += channel(color, 5) * counts[color];
+      sum[2] += channel(color, 0) * counts[color];
+    }
+    const boxPixels = numPixelsIn(box);
+    // 5-bit channels, scaled back up to 8 bits
+    palette.set(sum.map(total => total / boxPixels * 255 / 31), 3 * index);
+  });
+  const closest = new Uint8Array(1 << 15);
+  for (const color of keys) {
+    let minDist = Infinity;
+    for (let index = 0; index < boxes.length; ++index) {
+      const dr = channel(color, 10) * 255 / 31 - palette[3 * index];
+      const dg = channel(color, 5) * 255 / 31 - palette[3 * index + 1];
+      const db = channel(color, 0) * 255 / 31 - palette[3 * index + 2];
+      const dist = dr * dr + dg * dg + db * db;
+      if (dist < minDist) {
+        minDist = dist;
+        closest[color] = index;
+      }
+    }
+  }
+  for (let pixelIndex = 0; pixelIndex < numPixels; ++pixelIndex) {
+    indexes[pixelIndex] = closest[key(pixelIndex << 2)];
+  }
+  return {palette, indexes};
+}
+
+/**
+ * Compresses color indexes with GIF's variant of LZW, and returns the codes
+ * packed into sub-blocks of up to 255 bytes, followed by the terminator.
+ */
+function lzwEncode(indexes, minCodeSize) {
+  const clearCode = 1 << minCodeSize;
+  const endCode = clearCode + 1;
+  const bytes = [];
+  let bitBuffer = 0;
+  let numBits = 0;
+  let codeSize = minCodeSize + 1;
+  const writeCode = (code) => {
+    bitBuffer |= code << numBits;
+    numBits += codeSize;
+    while (numBits >= 8) {
+      bytes.push(bitBuffer & 0xff);
+      bitBuffer >>>= 8;
+      numBits -= 8;
+    }
+  };
+  // the code of each sequence seen so far, keyed by its prefix's code and its
+  // last index
+  let codes = new Map();
+  let nextCode = endCode + 1;
+  writeCode(clearCode);
+  let prefix = indexes[0];
+  for (let i = 1; i < indexes.length; ++i) {
+    const index = indexes[i];
+    const sequence = prefix << 8 | index;
+    const code = codes.get(sequence);
+    if (code !== undefined) {
+      prefix = code;
+      continue;
+    }
+    writeCode(prefix);
+    if (nextCode === 4096) {
+      // the table is full, so start over
+      writeCode(clearCode);
+      codes = new Map();
+      nextCode = endCode + 1;
+      codeSize = minCodeSize + 1;
+    } else {
+      codes.set(sequence, nextCode);
+      if (nextCode === 1 << codeSize) {
+        ++codeSize;
+      }
+      ++nextCode;
+    }
+    prefix = index;
+  }
+  writeCode(prefix);
+  writeCode(endCode);
+  if (numBits > 0) {
+    bytes.push(bitBuffer & 0xff);
+  }
+  const blocks = [];
+  for (let i = 0; i < bytes.length; i += 255) {
+    const block = bytes.slice(i, i + 255);
+    blocks.push(block.length, ...block);
+  }
+  blocks.push(0);
+  return blocks;
+}
+
+// APNG
+
+// CRC-32 of each byte value, for the checksums of PNG chunks
+const CRC_TABLE = Uint32Array.from({length: 256}, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; ++k) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c;
+});
+
+/** Returns a PNG chunk of the given type, with its length and checksum. */
+function pngChunk(type, data) {
+  const typeAndData = concatBytes([asciiBytes(type), data]);
+  let crc = 0xffffffff;
+  for (const byte of typeAndData) {
+    crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  }
+  return concatBytes([
+    uint32BE(data.length),
+    typeAndData,
+    uint32BE((crc ^ 0xffffffff) >>> 0),
+  ]);
+}
+
+/** Compresses bytes in the zlib format, which PNG uses. */
+async function deflate(bytes) {
+  const stream = new Blob([bytes]).stream().pipeThrough(
+      new CompressionStream('deflate'));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+/**
+ * Encodes an animated PNG, whose frames are lossless RGB images. Browsers that
+ * don't support APNG show the first frame.
+ */
+function createApngEncoder(width, height, fps, numFrames) {
+  const chunks = [
+    [0x89, ...asciiBytes('PNG\r\n\x1a\n')],
+    // 8-bit RGB, no interlacing
+    pngChunk('IHDR', [...uint32BE(width), ...uint32BE(height), 8, 2, 0, 0, 0]),
+    // the animation control chunk: the number of frames, looping forever
+    pngChunk('acTL', [...uint32BE(numFrames), ...uint32BE(0)]),
+  ];
+  // frame control and frame data chunks share a sequence
+  let sequenceNumber = 0;
+  let frame = 0;
+  return {
+    async addFrame(data) {
+      // each row starts with its filter type, which is 0 (none) here
+      const rows = new Uint8Array((3 * width + 1) * height);
+      for (let y = 0; y < height; ++y) {
+        for (let x = 0; x < width; ++x) {
+          const red = (x + width * y) << 2;
+          const offset = (3 * width + 1) * y + 1 + 3 * x;
+          rows[offset] = data[red];
+          rows[offset + 1] = data[red + 1];
+          rows[offset + 2] = data[red + 2];
+        }
+      }
+      // the frame control chunk: the frame covers the whole image, and is
+      // shown for 1/fps seconds
+      chunks.push(pngChunk('fcTL', [
+        ...uint32BE(sequenceNumber++), ...uint32BE(width), ...uint32BE(height),
+        ...uint32BE(0), ...uint32BE(0), ...uint16BE(1), ...uint16BE(fps), 0, 0,
+      ]));
+      const compressed = await deflate(rows);
+      // the first frame doubles as the still image
+      chunks.push(
+          frame === 0 ?
+              pngChunk('IDAT', compressed) :
+              pngChunk(
+                  'fdAT',
+                  concatBytes([uint32BE(sequenceNumber++), compressed])));
+      ++frame;
+    },
+    async finish() {
+      chunks.push(pngChunk('IEND', []));
+      return new Blob([concatBytes(chunks)], {type: 'image/apng'});
+    },
+    abort() {},
+  };
+}
+
+// WebM
+
+/** Returns a number as big-endian bytes, with as few bytes as possible. */
+function uintBytes(value) {
+  const bytes = [];
+  do {
+    bytes.unshift(value % 256);
+    value = Math.floor(value / 256);
+  } while (value > 0);
+  return bytes;
+}
+
+/**
+ * Returns an EBML element (the building block of WebM files): its ID, the size
+ * of its data as a variable-length integer, and its data. The data can be a
+ * number, a string, bytes, or an array of child elements.
+ */
+function ebml(id, data) {
+  if (typeof data === 'number') {
+    data = uintBytes(data);
+  } else if (typeof data === 'string') {
+    data = asciiBytes(data);
+  } else if (Array.isArray(data)) {
+    data = concatBytes(data);
+  }
+  // a size of n bytes takes 7n bits, and has a marker bit in front
+  let numSizeBytes = 1;
+  while (data.length >= 2 ** (7 * numSizeBytes) - 1) {
+    ++numSizeBytes;
+  }
+  const size = uintBytes(data.length);
+  while (size.length < numSizeBytes) {
+    size.unshift(0);
+  }
+  size[0] |= 0x80 >> (numSizeBytes - 1);
+  return concatBytes([uintBytes(id), size, data]);
+}
+
+/** Returns a 64-bit float as big-endian bytes. */
+function float64Bytes(value) {
+  const bytes = new Uint8Array(8);
+  new DataView(bytes.buffer).setFloat64(0, value);
+  return bytes;
+}
+
+// How often the video has a keyframe, which it can be played from
+const KEYFRAME_SECONDS = 2;
+
+// How far a block's time can be from its cluster's, in milliseconds
+const MAX_RELATIVE_TIME = 0x7fff;
+
+/**
+ * Encodes a WebM video with the VP8 codec, using the browser's WebCodecs API.
+ * Throws if the browser can't encode video.
+ */
+function createWebmEncoder(width, height, fps) {
+  if (typeof VideoEncoder === 'undefined') {
+    throw new Error('This browser cannot encode WebM video');
+  }
+  const chunks = [];
+  let encoderError;
+  const encoder = new VideoEncoder({
+    output(chunk) {
+      const data = new Uint8Array(chunk.byteLength);
+      chunk.copyTo(data);
+      chunks.push(
+          {data, timestamp: chunk.timestamp, isKey: chunk.type === 'key'});
+    },
+    error(error) {
+      encoderError = error;
+    },
+  });
+  encoder.configure({
+    codec: 'vp8',
+    width,
+    height,
+    framerate: fps,
+    bitrate: 8 * width * height,
+  });
+  let frame = 0;
+  return {
+    async addFrame(data) {
+      if (encoderError) {
+        throw encoderError;
+      }
+      // in microseconds
+      const timestamp = Math.round(1e6 * frame / fps);
+      const videoFrame = new VideoFrame(data, {
+        format: 'RGBA',
+        codedWidth: width,
+        codedHeight: height,
+        timestamp,
+        duration: Math.round(1e6 / fps),
+      });
+      const keyFrame = frame % Math.ceil(KEYFRAME_SECONDS * fps) === 0;
+      encoder.encode(videoFrame, {keyFrame});
+      videoFrame.close();
+      ++frame;
+      // don't let frames pile up faster than they are encoded
+      while (encoder.encodeQueueSize > 2) {
+        await new Promise(resolve => setTimeout(resolve, 0));
+      }
+    },
+    async finish() {
+      await encoder.flush();
+      encoder.close();
+      if (encoderError) {
+        throw encoderError;
+      }
+      return new Blob([muxWebm(chunks, width, height, 1000 * frame / fps)],
+                      {type: 'video/webm'});
+    },
+    abort() {
+      if (encoder.state !== 'closed') {
+        encoder.close();
+      }
+    },
+  };
+}
+
+/**
+ * Puts encoded VP8 chunks into a WebM file, with timestamps in milliseconds.
+ * Each keyframe starts a new cluster of blocks.
+ */
+function muxWebm(chunks, width, height, duration) {
+  const clusters = [];
+  let cluster;
+  for (const {data, timestamp, isKey} of chunks) {
+    const time = Math.round(timestamp / 1000);
+    if (isKey || !cluster || time - cluster.time > MAX_RELATIVE_TIME) {
+      cluster = {time, blocks: []};
+      clusters.push(cluster);
+    }
+    // track 1, the time relative to the cluster's as a 16-bit integer, and
+    // the keyframe flag
+    const relativeTime = time - cluster.time;
+    cluster.blocks.push(ebml(0xa3, concatBytes([
+      [0x81, relativeTime >> 8 & 0xff, relativeTime & 0xff, isKey ? 0x80 : 0],
+      data,
+    ])));
+  }
+  const header = ebml(0x1a45dfa3, [
+    ebml(0x4286, 1), // EBMLVersion
+    ebml(0x42f7, 1), // EBMLReadVersion
+    ebml(0x42f2, 4), // EBMLMaxIDLength
+    ebml(0x42f3, 8), // EBMLMaxSizeLength
+    ebml(0x4282, 'webm'), // DocType
+    ebml(0x4287, 2), // DocTypeVersion
+    ebml(0x4285, 2), // DocTypeReadVersion
+  ]);
+  const segment = ebml(0x18538067, [
+    ebml(0x1549a966, [ // Info
+      ebml(0x2ad7b1, 1e6), // TimecodeScale: milliseconds
+      ebml(0x4489, float64Bytes(duration)), // Duration
+      ebml(0x4d80, 'recursive-voronoi'), // MuxingApp
+      ebml(0x5741, 'recursive-voronoi'), // WritingApp
+    ]),
+    ebml(0x1654ae6b, [ // Tracks
+      ebml(0xae, [ // TrackEntry
+        ebml(0xd7, 1), // TrackNumber
+        ebml(0x73c5, 1), // TrackUID
+        ebml(0x83, 1), // TrackType: video
+        ebml(0x86, 'V_VP8'), // CodecID
+        ebml(0xe0, [ // Video
+          ebml(0xb0, width), // PixelWidth
+          ebml(0xba, height), // PixelHeight
+        ]),
+      ]),
+    ]),
+    ...clusters.map(({time, blocks}) => ebml(0x1f43b675, [ // Cluster
+      ebml(0xe7, time), // Timecode
+      ...blocks,
+    ])),
+  ]);
+  return concatBytes([header, segment]);
+}
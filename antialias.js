@@ -1,18 +1,37 @@
-import {averageSubpixels, distance} from './util.js';
+import {
+  averageSubpixels,
+  createRandom,
+  distance,
+  torus,
+  weightDistance,
+} from './util.js';
+
+/**
+ * Supersampling patterns for antialiasing: regular grids, a rotated grid (see
+ * SUBPIXEL_PATTERNS) and a jittered 4x4 grid that differs from pixel to pixel.
+ */
+export const ANTIALIAS_QUALITIES = ['2x2', '3x3', '4x4', 'rotated', 'jittered'];
 
 // reuse this across renders to reduce garbage collection time
 let borderPixels;
 
-// keep track of which state we have already calculated borderPixels for
+// keep track of which state (and quality) we have already calculated
+// borderPixels for
 let bordersKnownState;
+let bordersKnownQuality;
 
-/** Antialiases borders. */
-export function renderAntialiasedBorders(state) {
+/**
+ * Antialiases borders by sampling the border pixels at the subpixels of the
+ * given `quality` (see ANTIALIAS_QUALITIES), and averaging their colors. In a
+ * nested diagram (see subdivideTiles in voronoi.js), a subpixel goes to a tile
+ * only if it's in the cells of the tile's ancestors.
+ */
+export function renderAntialiasedBorders(state, quality = '3x3') {
   console.time('antialias');
-  const {tiles, canvas, pixels} = state;
+  const {tiles, levels, canvas, pixels} = state;
   const width = canvas.width;
   const height = canvas.height;
-  if (state === bordersKnownState) {
+  if (state === bordersKnownState && quality === bordersKnownQuality) {
     for (let pixelIndex = 0; pixelIndex < width * height; ++pixelIndex) {
       const subpixels = borderPixels[pixelIndex];
       if (subpixels !== undefined) {
@@ -22,6 +41,7 @@ export function renderAntialiasedBorders(state) {
   } else {
     // borders unknown - so we must calculate them
     calculateNbrTileIndexes(canvas, pixels);
+    const ancestry = levels ? getAncestry(tiles, levels) : null;
     for (let y = 0; y < height; ++y) {
       const rowOffset = width * y;
       for (let x = 0; x < width; ++x) {
@@ -30,8 +50,12 @@ export function renderAntialiasedBorders(state) {
         const nbrTileIndices = borderPixels[pixelIndex];
         // if this is a border pixel, then sample subpixels
         if (nbrTileIndices !== undefined) {
+          const offsets = quality === 'jittered' ?
+              getJitteredOffsets(pixelIndex) :
+              SUBPIXEL_PATTERNS[quality] ?? SUBPIXEL_OFFSETS;
           const subpixels = getSubpixelTileIndices(
-              x, y, tiles, pixels[pixelIndex], nbrTileIndices);
+              x, y, tiles, pixels[pixelIndex], nbrTileIndices, ancestry,
+              offsets);
           // NOTE: this changes the definition of borderPixels - we now have
           // borderPixels[pixelIndex] = array of subpixel tileIndexes
           borderPixels[pixelIndex] = subpixels;
@@ -40,10 +64,173 @@ export function renderAntialiasedBorders(state) {
       }
     }
     bordersKnownState = state;
+    bordersKnownQuality = quality;
   }
   console.timeEnd('antialias');
 }
 
+// Flags for the sides of a pixel that an outline runs along (see
+// renderOutlines): the one on its right, and the one below it.
+const VERTICAL_SIDE = 1;
+const HORIZONTAL_SIDE = 2;
+const SIDES = [VERTICAL_SIDE, HORIZONTAL_SIDE];
+
+/**
+ * Draws the outline of each cell, `strokeWidth` pixels wide and centered on
+ * its border, in the given [r, g, b] color. The outline is found around the
+ * border pixels (see calculateNbrTileIndexes), and its edges are antialiased
+ * by blending in the color according to how many of each pixel's subpixels it
+ * covers. To outline groups of tiles instead, pass the index of each tile's
+ * group as `groups`. Needs a repaint.
+ */
+export function renderOutlines(state, strokeWidth, rgb, groups) {
+  console.time('renderOutlines');
+  const {canvas, pixels} = state;
+  const width = canvas.width;
+  const height = canvas.height;
+  // antialiasing leaves borderPixels defined for the same pixels
+  if (state !== bordersKnownState) {
+    calculateNbrTileIndexes(canvas, pixels);
+    bordersKnownState = undefined;
+  }
+  const groupOf = groups ? (pixelIndex) => groups[pixels[pixelIndex]] :
+                           (pixelIndex) => pixels[pixelIndex];
+  const radius = strokeWidth / 2;
+  // how far from a side the outline can reach, in pixels
+  const reach = Math.ceil(radius + 1);
+  // wraps a coordinate on a torus; returns -1 if it's off the canvas otherwise
+  const wrap = (coordinate, size) => {
+    if (torus) {
+      return (coordinate + size) % size;
+    }
+    return coordinate >= 0 && coordinate < size ? coordinate : -1;
+  };
+
+  // find the sides between pixels of different groups, each marked on the
+  // pixel to its left or top
+  const sides = new Uint8Array(width * height);
+  const sideIndexes = [];
+  for (let pixelIndex = 0; pixelIndex < pixels.length; ++pixelIndex) {
+    if (borderPixels[pixelIndex] === undefined) {
+      continue;
+    }
+    const x = pixelIndex % width;
+    const y = (pixelIndex - x) / width;
+    const rightX = wrap(x + 1, width);
+    const belowY = wrap(y + 1, height);
+    if (rightX !== -1 &&
+        groupOf(rightX + width * y) !== groupOf(pixelIndex)) {
+      sides[pixelIndex] |= VERTICAL_SIDE;
+    }
+    if (belowY !== -1 &&
+        groupOf(x + width * belowY) !== groupOf(pixelIndex)) {
+      sides[pixelIndex] |= HORIZONTAL_SIDE;
+    }
+    if (sides[pixelIndex] !== 0) {
+      sideIndexes.push(pixelIndex);
+    }
+  }
+
+  // the squared distance from a point to a side of pixel (sideX, sideY)
+  const sideDistSquared = (pointX, pointY, sideX, sideY, isVertical) => {
+    const dx = isVertical ? pointX - sideX - 0.5 :
+                            Math.max(Math.abs(pointX - sideX) - 0.5, 0);
+    const dy = isVertical ? Math.max(Math.abs(pointY - sideY) - 0.5, 0) :
+                            pointY - sideY - 0.5;
+    return dx * dx + dy * dy;
+  };
+
+  // find the distance from each pixel's center to the closest side, working
+  // outwards from the sides. On a torus, the sides are unwrapped to the near
+  // side of the edges.
+  const distSquared = new Float32Array(width * height).fill(Infinity);
+  for (const sideIndex of sideIndexes) {
+    const sideX = sideIndex % width;
+    const sideY = (sideIndex - sideX) / width;
+    const pixelSides = sides[sideIndex];
+    for (let y = sideY - reach; y <= sideY + reach; ++y) {
+      const wrappedY = wrap(y, height);
+      for (let x = sideX - reach; x <= sideX + reach && wrappedY !== -1; ++x) {
+        const wrappedX = wrap(x, width);
+        if (wrappedX === -1) {
+          continue;
+        }
+        const pixelIndex = wrappedX + width * wrappedY;
+        if (pixelSides & VERTICAL_SIDE) {
+          distSquared[pixelIndex] = Math.min(
+              distSquared[pixelIndex],
+              sideDistSquared(x, y, sideX, sideY, true));
+        }
+        if (pixelSides & HORIZONTAL_SIDE) {
+          distSquared[pixelIndex] = Math.min(
+              distSquared[pixelIndex],
+              sideDistSquared(x, y, sideX, sideY, false));
+        }
+      }
+    }
+  }
+
+  // the fraction of the subpixels of pixel (x, y) that the outline covers,
+  // for a pixel near its edge
+  const radiusSquared = radius * radius;
+  const nearbySides = [];
+  const getCoverage = (x, y) => {
+    // only the sides that might reach a subpixel matter
+    const maxDistSquared = (radius + MAX_SUBPIXEL_OFFSET) ** 2;
+    nearbySides.length = 0;
+    for (let sideY = y - reach; sideY <= y + reach; ++sideY) {
+      const wrappedY = wrap(sideY, height);
+      for (let sideX = x - reach; sideX <= x + reach && wrappedY !== -1;
+           ++sideX) {
+        const wrappedX = wrap(sideX, width);
+        const pixelSides =
+            wrappedX === -1 ? 0 : sides[wrappedX + width * wrappedY];
+        for (const side of SIDES) {
+          if ((pixelSides & side) &&
+              sideDistSquared(x, y, sideX, sideY, side === VERTICAL_SIDE) <
+                  maxDistSquared) {
+            nearbySides.push(sideX, sideY, side === VERTICAL_SIDE);
+          }
+        }
+      }
+    }
+    let covered = 0;
+    for (const [dx, dy] of SUBPIXEL_OFFSETS) {
+      for (let i = 0; i < nearbySides.length; i += 3) {
+        if (sideDistSquared(
+                x + dx, y + dy, nearbySides[i], nearbySides[i + 1],
+                nearbySides[i + 2]) < radiusSquared) {
+          ++covered;
+          break;
+        }
+      }
+    }
+    return covered / SUBPIXEL_OFFSETS.length;
+  };
+
+  // blend the outline into the pixels it covers
+  const blended = new Uint8ClampedArray(3);
+  for (let pixelIndex = 0; pixelIndex < pixels.length; ++pixelIndex) {
+    if (distSquared[pixelIndex] === Infinity) {
+      continue;
+    }
+    const dist = Math.sqrt(distSquared[pixelIndex]);
+    let fraction = 1;
+    if (dist - MAX_SUBPIXEL_OFFSET >= radius) {
+      continue;
+    } else if (dist + MAX_SUBPIXEL_OFFSET >= radius) {
+      const x = pixelIndex % width;
+      fraction = getCoverage(x, (pixelIndex - x) / width);
+    }
+    const color = canvas.getPixel(pixelIndex);
+    blended[0] = (color >> 16) * (1 - fraction) + rgb[0] * fraction;
+    blended[1] = (color >> 8 & 0xff) * (1 - fraction) + rgb[1] * fraction;
+    blended[2] = (color & 0xff) * (1 - fraction) + rgb[2] * fraction;
+    canvas.setPixel(pixelIndex, blended);
+  }
+  console.timeEnd('renderOutlines');
+}
+
 /** Adds an element to an array if it's not already present. */
 const add = (arr, e) => {
   if (!arr.includes(e)) {
@@ -55,6 +242,8 @@ const add = (arr, e) => {
 /**
  * Initializes borderPixels. Sets borderPixels[pixelIndex] = array of
  * neighboring tile indexes, or empty if all neighbors belong to the same tile.
+ * Where three or more tiles meet, the tiles that only touch a pixel diagonally
+ * count as its neighbors too.
  */
 function calculateNbrTileIndexes(canvas, pixels) {
   const width = canvas.width;
@@ -131,28 +320,139 @@ function calculateNbrTileIndexes(canvas, pixels) {
       top = bottom + 1;
     }
   }
+  if (torus) {
+    // on a torus, the edges of the canvas border each other too
+    const addWrapBorder = (pixelIndex, otherPixelIndex) => {
+      if (pixels[pixelIndex] !== pixels[otherPixelIndex]) {
+        borderPixels[pixelIndex] =
+            add(borderPixels[pixelIndex] || [], pixels[otherPixelIndex]);
+        borderPixels[otherPixelIndex] =
+            add(borderPixels[otherPixelIndex] || [], pixels[pixelIndex]);
+      }
+    };
+    for (let y = 0; y < height; ++y) {
+      addWrapBorder(width * y, width - 1 + width * y);
+    }
+    for (let x = 0; x < width; ++x) {
+      addWrapBorder(x, x + width * (height - 1));
+    }
+  }
+  // look for corners in each 2x2 block of pixels, which on a torus includes
+  // the blocks that wrap around the edges
+  const maxX = torus ? width : width - 1;
+  const maxY = torus ? height : height - 1;
+  for (let y = 0; y < maxY; ++y) {
+    const nextY = (y + 1) % height;
+    for (let x = 0; x < maxX; ++x) {
+      const nextX = (x + 1) % width;
+      const topLeft = x + width * y;
+      const topRight = nextX + width * y;
+      const bottomRight = nextX + width * nextY;
+      const bottomLeft = x + width * nextY;
+      // blocks inside a tile or along a straight border are the most common,
+      // and hold at most two tiles
+      const topRightTile = pixels[topRight];
+      const bottomLeftTile = pixels[bottomLeft];
+      if ((pixels[topLeft] === topRightTile ||
+           pixels[topLeft] === bottomLeftTile) &&
+          (pixels[bottomRight] === topRightTile ||
+           pixels[bottomRight] === bottomLeftTile)) {
+        continue;
+      }
+      const block = [topLeft, topRight, bottomRight, bottomLeft];
+      const blockTileIndexes = new Set(block.map(index => pixels[index]));
+      if (blockTileIndexes.size < 3) {
+        continue;
+      }
+      for (const pixelIndex of block) {
+        for (const tileIndex of blockTileIndexes) {
+          if (tileIndex !== pixels[pixelIndex]) {
+            borderPixels[pixelIndex] =
+                add(borderPixels[pixelIndex] || [], tileIndex);
+          }
+        }
+      }
+    }
+  }
+}
+
+/** Returns evenly spaced subpixel coordinates on an n x n grid. */
+function getGridOffsets(n) {
+  const offsets = [];
+  for (let j = 0; j < n; ++j) {
+    for (let i = 0; i < n; ++i) {
+      offsets.push([(2 * i + 1 - n) / (2 * n), (2 * j + 1 - n) / (2 * n)]);
+    }
+  }
+  return offsets;
 }
 
 // Evenly spaced subpixel coordinates - we're effectively rendering border
-// pixels at 3x resolution.
-const SUBPIXEL_OFFSETS = [
-  [-1/3, -1/3], [0, -1/3], [1/3, -1/3],
-  [-1/3,    0], [0,    0], [1/3,    0],
-  [-1/3,  1/3], [0,  1/3], [1/3,  1/3],
-];
-
-/** Calculates tileIndex for multiple locations within a pixel. */
-function getSubpixelTileIndices(x, y, tiles, tileIndex, nbrTileIndices) {
-  const tile = tiles[tileIndex];
-  return SUBPIXEL_OFFSETS.map(([dx, dy]) => {
+// pixels at 3x resolution. Outlines are always sampled this way.
+const SUBPIXEL_OFFSETS = getGridOffsets(3);
+
+// How far a subpixel is from its pixel's center at most
+const MAX_SUBPIXEL_OFFSET = Math.SQRT2 / 3;
+
+// The subpixel coordinates of each quality but 'jittered'. A rotated grid
+// samples 4 different rows and columns with only 4 subpixels, so it does
+// better than '2x2' on nearly horizontal or vertical borders.
+const SUBPIXEL_PATTERNS = {
+  '2x2': getGridOffsets(2),
+  '3x3': SUBPIXEL_OFFSETS,
+  '4x4': getGridOffsets(4),
+  'rotated': [[-1/8, -3/8], [3/8, -1/8], [1/8, 3/8], [-3/8, 1/8]],
+};
+
+/**
+ * Returns the subpixel coordinates of a 4x4 grid with each subpixel moved to a
+ * random spot within its cell, which trades the regular grid's aliasing for
+ * noise. The same pixel always gets the same subpixels.
+ */
+function getJitteredOffsets(pixelIndex) {
+  const random = createRandom(pixelIndex);
+  return SUBPIXEL_PATTERNS['4x4'].map(([dx, dy]) => {
+    return [dx + (random() - 0.5) / 4, dy + (random() - 0.5) / 4];
+  });
+}
+
+/**
+ * For a nested diagram, returns each level above the bottom one, top first, as
+ * `{tiles, indexes}`, where `indexes` maps each tileIndex on the bottom level
+ * to the tileIndex of its ancestor on that level.
+ */
+function getAncestry(tiles, levels) {
+  const ancestry = [];
+  let indexes = tiles.map(tile => tile.parent);
+  for (let level = levels.length - 1; level >= 0; --level) {
+    ancestry.unshift({tiles: levels[level], indexes});
+    if (level > 0) {
+      indexes = indexes.map(tileIndex => levels[level][tileIndex].parent);
+    }
+  }
+  return ancestry;
+}
+
+/**
+ * Calculates tileIndex for multiple locations within a pixel, at the given
+ * subpixel offsets. See getAncestry for `ancestry`, which is null unless the
+ * diagram is nested.
+ */
+function getSubpixelTileIndices(
+    x, y, tiles, tileIndex, nbrTileIndices, ancestry, offsets) {
+  return offsets.map(([dx, dy]) => {
     const subpixelX = x + dx;
     const subpixelY = y + dy;
-    let closestTileIndex = tileIndex;
-    let minDist = distance(subpixelX, subpixelY, tile.x, tile.y);
-    for (let i = 0; i < nbrTileIndices.length; ++i) {
-      const index = nbrTileIndices[i];
-      const nbrTile = tiles[index];
-      const dist = distance(subpixelX, subpixelY, nbrTile.x, nbrTile.y);
+    const candidates = ancestry ?
+        narrowToNestedCell(
+            subpixelX, subpixelY, [tileIndex, ...nbrTileIndices], ancestry) :
+        nbrTileIndices;
+    let closestTileIndex = ancestry ? candidates[0] : tileIndex;
+    let minDist =
+        subpixelDistance(subpixelX, subpixelY, tiles[closestTileIndex]);
+    for (let i = 0; i < candidates.length; ++i) {
+      const index = candidates[i];
+      const dist = subpixelDistance(subpixelX, subpixelY, tiles[index]);
       if (dist < minDist) {
         minDist = dist;
         closestTileIndex = index;
@@ -161,3 +461,30 @@ function getSubpixelTileIndices(x, y, tiles, tileIndex, nbrTileIndices) {
     return closestTileIndex;
   });
 }
+
+/**
+ * Narrows down the given tileIndexes of a nested diagram to the ones whose
+ * ancestors' cells contain a subpixel, level by level from the top.
+ */
+function narrowToNestedCell(x, y, tileIndexes, ancestry) {
+  for (const {tiles, indexes} of ancestry) {
+    let closestIndex;
+    let minDist = Infinity;
+    for (const tileIndex of tileIndexes) {
+      const dist = subpixelDistance(x, y, tiles[indexes[tileIndex]]);
+      if (dist < minDist) {
+        minDist = dist;
+        closestIndex = indexes[tileIndex];
+      }
+    }
+    tileIndexes =
+        tileIndexes.filter(tileIndex => indexes[tileIndex] === closestIndex);
+  }
+  return tileIndexes;
+}
+
+/** Returns the (possibly weighted) distance from a subpixel to a tile. */
+function subpixelDistance(x, y, tile) {
+  const dist = distance(x, y, tile.x, tile.y);
+  return weightDistance ? weightDistance(dist, tile.weight || 0) : dist;
+}
@@ -2,22 +2,16 @@
 let canvas;
 
 /**
- * Creates a canvas element and returns a simple interface for drawing on it.
+ * Creates an in-memory RGBA image buffer with the same drawing interface as
+ * createCanvas, but without touching the DOM. Usable in Node and Web Workers.
+ * Pass `data` to draw into an existing RGBA array (e.g. an ImageData's).
  */
-export function createCanvas(width, height) {
-  if (canvas && canvas.width === width && canvas.height === height) {
-    return canvas;
+export function createImageBuffer(
+    width, height, data = new Uint8ClampedArray(width * height * 4)) {
+  // start out opaque black, like a freshly filled canvas
+  for (let alpha = 3; alpha < data.length; alpha += 4) {
+    data[alpha] = 255;
   }
-  console.time('createCanvas');
-  const el = document.createElement('canvas');
-  el.width = width;
-  el.height = height;
-  const ctx = el.getContext('2d');
-  ctx.fillStyle = '#000';
-  ctx.fillRect(0, 0, width, height);
-  const imageData = ctx.getImageData(0, 0, width, height);
-  const data = imageData.data;
-  console.timeEnd('createCanvas');
 
   const setPixel = (pixelIndex, rgb) => {
     const red = pixelIndex << 2;
@@ -36,15 +30,95 @@ export function createCanvas(width, height) {
 
   const nullFunction = () => {};
 
-  return canvas = {
-    /** Returns the width of this canvas in pixels. */
+  return {
+    /** Returns the width of this buffer in pixels. */
     get width() {
       return width;
     },
-    /** Returns the height of this canvas in pixels. */
+    /** Returns the height of this buffer in pixels. */
     get height() {
       return height;
     },
+    /** Returns the underlying RGBA array. */
+    get data() {
+      return data;
+    },
+    /** Nothing to repaint: setPixel writes straight into the buffer. */
+    repaint() {},
+    /** Draws an aliased circle directly into the buffer. */
+    drawCircle(x, y, r, color = '#000') {
+      const rgb = parseHexColor(color);
+      const minY = Math.max(0, Math.ceil(y - r));
+      const maxY = Math.min(height - 1, Math.floor(y + r));
+      for (let py = minY; py <= maxY; ++py) {
+        const halfWidth = Math.sqrt(r * r - (py - y) * (py - y));
+        const minX = Math.max(0, Math.ceil(x - halfWidth));
+        const maxX = Math.min(width - 1, Math.floor(x + halfWidth));
+        if (minX <= maxX) {
+          setRowHorizontal(minX + width * py, maxX + width * py, rgb);
+        }
+      }
+    },
+    /** Draws an aliased line segment directly into the buffer. */
+    drawLine(x1, y1, x2, y2, color = '#000') {
+      const rgb = parseHexColor(color);
+      const steps = Math.max(Math.abs(x2 - x1), Math.abs(y2 - y1), 1);
+      for (let i = 0; i <= steps; ++i) {
+        const x = Math.round(x1 + (x2 - x1) * i / steps);
+        const y = Math.round(y1 + (y2 - y1) * i / steps);
+        if (x >= 0 && x < width && y >= 0 && y < height) {
+          setPixel(x + width * y, rgb);
+        }
+      }
+    },
+    /** Gets the RGB hex value of the specified pixel. */
+    getPixel(pixelIndex) {
+      const red = pixelIndex << 2;
+      return (data[red] << 16) | (data[red + 1] << 8) | data[red + 2];
+    },
+    /** Sets the given pixel to the given color. Does not repaint. */
+    setPixel(pixelIndex, rgb) {
+      setPixel(pixelIndex, rgb);
+    },
+    /**
+     * Sets all the pixels in [leftIndex, rightIndex] to the given color. Does
+     * not repaint.
+     */
+    setRowHorizontal(leftIndex, rightIndex, rgb) {
+      setRowHorizontal(leftIndex, rightIndex, rgb);
+    },
+    /** Toggles the set* functions on or off. */
+    togglePixelSetters(on) {
+      if (on) {
+        this.setPixel = setPixel;
+        this.setRowHorizontal = setRowHorizontal;
+      } else {
+        this.setPixel = nullFunction;
+        this.setRowHorizontal = nullFunction;
+      }
+    },
+  };
+}
+
+/**
+ * Creates a canvas element and returns a simple interface for drawing on it.
+ * This is the DOM backend for an image buffer (see createImageBuffer). Unless
+ * `reuse` is false, the previous canvas is returned if it has the same size.
+ */
+export function createCanvas(width, height, reuse = true) {
+  if (reuse && canvas && canvas.width === width && canvas.height === height) {
+    return canvas;
+  }
+  console.time('createCanvas');
+  const el = document.createElement('canvas');
+  el.width = width;
+  el.height = height;
+  const ctx = el.getContext('2d');
+  const imageData = ctx.createImageData(width, height);
+  const buffer = createImageBuffer(width, height, imageData.data);
+  console.timeEnd('createCanvas');
+
+  const domCanvas = Object.assign(buffer, {
     /**
      * Removes any other elements from the given container and attaches this
      * canvas instead.
@@ -55,10 +129,47 @@ export function createCanvas(width, height) {
         container.appendChild(el);
       }
     },
+    /**
+     * Returns the [x, y] pixel under the given mouse event, or null if it's
+     * outside the canvas.
+     */
+    getPixelCoordinates(event) {
+      const rect = el.getBoundingClientRect();
+      const x = Math.floor((event.clientX - rect.left) * width / rect.width);
+      const y = Math.floor((event.clientY - rect.top) * height / rect.height);
+      if (x < 0 || x >= width || y < 0 || y >= height) {
+        return null;
+      }
+      return [x, y];
+    },
     /** Pass-through */
     toDataURL(...args) {
       return el.toDataURL(...args);
     },
+    /** Like toBlob, but returns a Promise. */
+    toBlob(...args) {
+      return new Promise(resolve => el.toBlob(resolve, ...args));
+    },
+    /**
+     * Returns the RGBA data of the canvas as displayed, which unlike `data`
+     * includes any circles and lines.
+     */
+    readPixels() {
+      return ctx.getImageData(0, 0, width, height).data;
+    },
+    /**
+     * Returns a new canvas element with a copy of this canvas as displayed,
+     * scaled down to fit in a `size` x `size` square.
+     */
+    toThumbnail(size) {
+      const scale = Math.min(1, size / width, size / height);
+      const thumbnail = document.createElement('canvas');
+      thumbnail.width = Math.max(1, Math.round(width * scale));
+      thumbnail.height = Math.max(1, Math.round(height * scale));
+      thumbnail.getContext('2d').drawImage(
+          el, 0, 0, thumbnail.width, thumbnail.height);
+      return thumbnail;
+    },
     /**
      * Repaints the canvas, which will display any modifications made via
      * setPixel.
@@ -74,31 +185,28 @@ export function createCanvas(width, height) {
       ctx.arc(x, y, r, 0, Math.PI * 2);
       ctx.fill();
     },
-    /** Gets the RGB hex value of the specified pixel. */
-    getPixel(pixelIndex) {
-      const red = pixelIndex << 2;
-      return (data[red] << 16) | (data[red + 1] << 8) | data[red + 2];
-    },
-    /** Sets the given pixel to the given color. Does not repaint the canvas. */
-    setPixel(pixelIndex, rgb) {
-      setPixel(pixelIndex, rgb);
-    },
-    /**
-     * Sets all the pixels in [leftIndex, rightIndex] to the given color. Does
-     * not repaint the canvas.
-     */
-    setRowHorizontal(leftIndex, rightIndex, rgb) {
-      setRowHorizontal(leftIndex, rightIndex, rgb);
-    },
-    /** Toggles the set* functions on or off. */
-    togglePixelSetters(on) {
-      if (on) {
-        this.setPixel = setPixel;
-        this.setRowHorizontal = setRowHorizontal;
-      } else {
-        this.setPixel = nullFunction;
-        this.setRowHorizontal = nullFunction;
-      }
+    /** Draws a line segment. No need to repaint. */
+    drawLine(x1, y1, x2, y2, color = '#000') {
+      ctx.strokeStyle = color;
+      ctx.lineWidth = 1;
+      ctx.beginPath();
+      ctx.moveTo(x1, y1);
+      ctx.lineTo(x2, y2);
+      ctx.stroke();
     },
-  };
+  });
+  if (reuse) {
+    canvas = domCanvas;
+  }
+  return domCanvas;
+}
+
+/** Parses a '#rgb' or '#rrggbb' color string into an [r, g, b] array. */
+function parseHexColor(color) {
+  let hex = color.slice(1);
+  if (hex.length === 3) {
+    hex = hex.replace(/./g, '$&$&');
+  }
+  const value = parseInt(hex, 16);
+  return [(value >> 16) & 0xff, (value >> 8) & 0xff, value & 0xff];
 }
@@ -0,0 +1,133 @@
+import {torus} from './util.js';
+
+/**
+ * Returns a Set of neighboring tileIndexes for each tile, read off the pixels
+ * map. On a torus (see setSeamless), tiles also neighbor each other across the
+ * edges of the canvas.
+ */
+export function findNeighbors(numTiles, pixels, width, height) {
+  const neighbors = Array.from({length: numTiles}, () => new Set());
+  const addPair = (tileIndex, nbrIndex) => {
+    if (nbrIndex !== tileIndex) {
+      neighbors[tileIndex].add(nbrIndex);
+      neighbors[nbrIndex].add(tileIndex);
+    }
+  };
+  for (let y = 0; y < height; ++y) {
+    const rowOffset = width * y;
+    for (let x = 0; x < width; ++x) {
+      const pixelIndex = x + rowOffset;
+      const tileIndex = pixels[pixelIndex];
+      // checking diagonals too catches cells that only touch at a corner
+      if (x < width - 1) {
+        addPair(tileIndex, pixels[pixelIndex + 1]);
+      }
+      if (y < height - 1) {
+        addPair(tileIndex, pixels[pixelIndex + width]);
+        if (x > 0) {
+          addPair(tileIndex, pixels[pixelIndex + width - 1]);
+        }
+        if (x < width - 1) {
+          addPair(tileIndex, pixels[pixelIndex + width + 1]);
+        }
+      }
+    }
+  }
+  if (torus) {
+    for (let y = 0; y < height; ++y) {
+      addPair(pixels[width * y], pixels[width - 1 + width * y]);
+    }
+    for (let x = 0; x < width; ++x) {
+      addPair(pixels[x], pixels[x + width * (height - 1)]);
+    }
+  }
+  return neighbors;
+}
+
+/**
+ * Returns the adjacency graph of a rendered diagram: for each tile, a Map from
+ * each neighboring tileIndex to the length of their shared border, i.e. the
+ * number of pixel sides between them. Tiles that only touch at a corner are
+ * neighbors with a border length of 0.
+ */
+export function getAdjacencyGraph({tiles, canvas, pixels}) {
+  const width = canvas.width;
+  const height = canvas.height;
+  const graph = findNeighbors(tiles.length, pixels, width, height)
+                    .map(nbrs => new Map([...nbrs].map(nbr => [nbr, 0])));
+  const addSide = (pixelIndex, otherPixelIndex) => {
+    const tileIndex = pixels[pixelIndex];
+    const nbrIndex = pixels[otherPixelIndex];
+    if (nbrIndex !== tileIndex) {
+      graph[tileIndex].set(nbrIndex, graph[tileIndex].get(nbrIndex) + 1);
+      graph[nbrIndex].set(tileIndex, graph[nbrIndex].get(tileIndex) + 1);
+    }
+  };
+  for (let y = 0; y < height; ++y) {
+    const rowOffset = width * y;
+    for (let x = 0; x < width; ++x) {
+      const pixelIndex = x + rowOffset;
+      if (x < width - 1) {
+        addSide(pixelIndex, pixelIndex + 1);
+      } else if (torus) {
+        addSide(pixelIndex, rowOffset);
+      }
+      if (y < height - 1) {
+        addSide(pixelIndex, pixelIndex + width);
+      } else if (torus) {
+        addSide(pixelIndex, x);
+      }
+    }
+  }
+  return graph;
+}
+
+/**
+ * Returns the Delaunay triangulation that is dual to a rendered diagram, as an
+ * array of [tileIndex1, tileIndex2, tileIndex3] triangles with their indexes
+ * in ascending order. Each triangle joins three cells that meet at a corner of
+ * the pixels map, so this works for any metric or weighting. Where four cells
+ * meet, the corner is split into two triangles. Near the edges of the canvas
+ * (unless it's a torus), triangles whose cells meet off the canvas are missing.
+ */
+export function getDelaunayTriangles({canvas, pixels}) {
+  const width = canvas.width;
+  const height = canvas.height;
+  const triangles = [];
+  const seen = new Set();
+  const addTriangle = (...tileIndexes) => {
+    tileIndexes.sort((a, b) => a - b);
+    const key = tileIndexes.join();
+    if (!seen.has(key)) {
+      seen.add(key);
+      triangles.push(tileIndexes);
+    }
+  };
+  // on a torus, the corners along the right and bottom edges wrap around
+  const maxX = torus ? width : width - 1;
+  const maxY = torus ? height : height - 1;
+  for (let y = 0; y < maxY; ++y) {
+    const nextY = (y + 1) % height;
+    for (let x = 0; x < maxX; ++x) {
+      const nextX = (x + 1) % width;
+      const topLeft = pixels[x + width * y];
+      const topRight = pixels[nextX + width * y];
+      const bottomRight = pixels[nextX + width * nextY];
+      const bottomLeft = pixels[x + width * nextY];
+      if (topLeft === topRight && topLeft === bottomRight &&
+          topLeft === bottomLeft) {
+        continue;
+      }
+      // the 2x2 block of pixels around the corner, in clockwise order
+      const block = [topLeft, topRight, bottomRight, bottomLeft];
+      const distinct = new Set(block);
+      if (distinct.size === 3) {
+        addTriangle(...distinct);
+      } else if (distinct.size === 4) {
+        addTriangle(block[0], block[1], block[2]);
+        addTriangle(block[0], block[2], block[3]);
+      }
+    }
+  }
+  return triangles;
+}
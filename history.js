@@ -0,0 +1,128 @@
+/**
+ * An undo/redo history of diagrams. Each entry is a snapshot of a diagram's
+ * capitals and colors (and the levels above them in a nested diagram), not its
+ * pixels, so it can be rendered again at any size, e.g.
+ *
+ *   {
+ *     width: 800, height: 600, seed: 123, colorSeed: 456,
+ *     tiles: [{x: 10, y: 20, color: Uint8ClampedArray [38, 70, 83]}, ...],
+ *     imageUrl: null, thumbnail: <canvas>
+ *   }
+ *
+ * which has the same shape as a diagram loaded by parseDiagram (see
+ * serialize.js).
+ */
+
+/** The most diagrams a history holds by default. */
+export const HISTORY_LIMIT = 30;
+
+/**
+ * Creates an empty history that holds up to `limit` diagrams, dropping the
+ * oldest ones first. Undoing and redoing only move the current entry; then
+ * recording a new diagram drops the entries after it, as in a text editor.
+ */
+export function createHistory(limit = HISTORY_LIMIT) {
+  const entries = [];
+  let index = -1;
+  return {
+    /** Returns the entries, oldest first. Don't modify them. */
+    get entries() {
+      return entries;
+    },
+    /** Returns the index of the current entry, or -1 if there are none. */
+    get index() {
+      return index;
+    },
+    /**
+     * Records the diagram in `state` (see drawRandomVoronoiDiagram) as the
+     * current entry, unless it's the current entry already. Along with it go
+     * its `imageUrl` (if any) and a thumbnail from `thumbnail()`, which is only
+     * called if need be. Returns whether the diagram was recorded.
+     */
+    record(state, {imageUrl = null, thumbnail}) {
+      if (index !== -1 && isSameDiagram(entries[index], state)) {
+        return false;
+      }
+      entries.splice(index + 1);
+      entries.push(takeSnapshot(state, imageUrl, thumbnail()));
+      if (entries.length > limit) {
+        entries.splice(0, entries.length - limit);
+      }
+      index = entries.length - 1;
+      return true;
+    },
+    /**
+     * Replaces the current entry with the diagram in `state`, e.g. after it's
+     * been rendered again at a different size. See record.
+     */
+    replace(state, {imageUrl = null, thumbnail}) {
+      if (index !== -1) {
+        entries[index] = takeSnapshot(state, imageUrl, thumbnail());
+      }
+    },
+    /** Makes the entry at `newIndex` current, if there's such an entry. */
+    moveTo(newIndex) {
+      if (newIndex >= 0 && newIndex < entries.length) {
+        index = newIndex;
+      }
+    },
+  };
+}
+
+/**
+ * Returns a snapshot of a diagram. Copies the colors, since recoloring changes
+ * them in place.
+ */
+function takeSnapshot(state, imageUrl, thumbnail) {
+  const {tiles, levels, canvas, seed, colorSeed, weightScale, relaxations} =
+      state;
+  return {
+    width: canvas.width,
+    height: canvas.height,
+    seed,
+    colorSeed,
+    weightScale,
+    relaxations,
+    tiles: copyTiles(tiles),
+    levels: levels?.map(copyTiles),
+    imageUrl,
+    thumbnail,
+  };
+}
+
+/** Returns copies of tiles, without anything the worker added to them. */
+function copyTiles(tiles) {
+  return tiles.map(({i, x, y, color, weight, parent}) => {
+    const tile = {i, x, y, color: Uint8ClampedArray.from(color)};
+    if (weight !== undefined) {
+      tile.weight = weight;
+    }
+    if (parent !== undefined) {
+      tile.parent = parent;
+    }
+    return tile;
+  });
+}
+
+/** Returns whether a snapshot is of the diagram in `state`. */
+function isSameDiagram(snapshot, {tiles, levels, canvas}) {
+  return snapshot.width === canvas.width &&
+      snapshot.height === canvas.height &&
+      snapshot.levels?.length === levels?.length &&
+      areSameTiles(snapshot.tiles, tiles) &&
+      (levels ?? []).every(
+          (level, i) => areSameTiles(snapshot.levels[i], level));
+}
+
+/** Returns whether two lists of tiles have the same capitals and colors. */
+function areSameTiles(tiles, otherTiles) {
+  return tiles.length === otherTiles.length &&
+      tiles.every((tile, i) => {
+        const other = otherTiles[i];
+        return tile.x === other.x && tile.y === other.y &&
+            tile.weight === other.weight && tile.parent === other.parent &&
+            tile.color[0] === other.color[0] &&
+            tile.color[1] === other.color[1] &&
+            tile.color[2] === other.color[2];
+      });
+}
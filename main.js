@@ -1,4 +1,46 @@
-import {drawRandomVoronoiDiagram, recolor, rerender} from './voronoi.js';
+import {
+  ANIMATION_EXTENSIONS,
+  createAnimationEncoder,
+  getFrameTileCounts,
+} from './animation.js';
+import {createHistory} from './history.js';
+import {
+  extractPalette,
+  formatPalette,
+  getPalette,
+  PALETTE_NAMES,
+  parsePalette,
+  pickColor,
+} from './palette.js';
+import {usesImage} from './placement.js';
+import {
+  cancelRender,
+  drawRandomVoronoiDiagram,
+  importMetrics,
+  recolor,
+  relax,
+  renderOffscreen,
+  rerender,
+} from './renderer.js';
+import {parseDiagram, serializeDiagram} from './serialize.js';
+import {exportStats} from './stats.js';
+import {exportSvg} from './svg.js';
+import {
+  getMetricNames,
+  loadImagePixelData,
+  setMetric,
+  setSeamless,
+  setWeighting,
+} from './util.js';
+import {
+  addTile,
+  CAPITAL_RADIUS,
+  drawOverlays,
+  moveTile,
+  removeTile,
+  scaleTiles,
+  setTileWeight,
+} from './voronoi.js';
 
 const URL_PARAMS = new URLSearchParams(window.location.search);
 const TEST_MODE = URL_PARAMS.has('test');
@@ -7,39 +49,520 @@ const El = {
   ANIMATE: document.getElementById('animate'),
   ANIMATION_SECONDS: document.getElementById('animationSeconds'),
   ANTIALIAS: document.getElementById('antialias'),
+  ANTIALIAS_QUALITY: document.getElementById('antialiasQuality'),
+  BORDER_COLOR: document.getElementById('borderColor'),
+  BORDER_WIDTH: document.getElementById('borderWidth'),
   CANVAS_CONTAINER: document.getElementById('canvas'),
   CONTROLS: document.getElementById('controls'),
+  COLORING: document.getElementById('coloring'),
+  COPY_LINK: document.getElementById('copyLink'),
   DOWNLOAD: document.getElementById('download'),
+  DOWNLOAD_STATS_CSV: document.getElementById('downloadStatsCsv'),
+  DOWNLOAD_STATS_JSON: document.getElementById('downloadStatsJson'),
+  DOWNLOAD_SVG: document.getElementById('downloadSvg'),
+  EDIT_MODE: document.getElementById('editMode'),
   HAMBURGER: document.getElementById('hamburger'),
+  HEATMAP: document.getElementById('heatmap'),
+  HISTORY: document.getElementById('history'),
+  IMAGE_BACKGROUND: document.getElementById('imageBackground'),
+  IMAGE_FIT: document.getElementById('imageFit'),
+  IMAGE_PAN_X: document.getElementById('imagePanX'),
+  IMAGE_PAN_Y: document.getElementById('imagePanY'),
+  IMAGE_ZOOM: document.getElementById('imageZoom'),
+  METRIC: document.getElementById('metric'),
+  METRIC_ANGLE: document.getElementById('metricAngle'),
+  METRIC_ASPECT: document.getElementById('metricAspect'),
+  METRIC_P: document.getElementById('metricP'),
+  MOSAIC_COLOR: document.getElementById('mosaicColor'),
+  MOSAIC_ERROR: document.getElementById('mosaicError'),
   NUM_TILES: document.getElementById('numTiles'),
+  OPEN: document.getElementById('open'),
+  OUTPUT_HEIGHT: document.getElementById('outputHeight'),
+  OUTPUT_WIDTH: document.getElementById('outputWidth'),
+  PALETTE: document.getElementById('palette'),
+  PALETTE_COLORS: document.getElementById('paletteColors'),
+  PALETTE_IMAGE: document.getElementById('paletteImage'),
+  PROGRESS: document.getElementById('progress'),
   RECOLOR: document.getElementById('recolor'),
+  RECORD: document.getElementById('record'),
+  RECORD_EASING: document.getElementById('recordEasing'),
+  RECORD_END_TILES: document.getElementById('recordEndTiles'),
+  RECORD_FORMAT: document.getElementById('recordFormat'),
+  RECORD_FPS: document.getElementById('recordFps'),
+  RECORD_SECONDS: document.getElementById('recordSeconds'),
+  RECORD_START_TILES: document.getElementById('recordStartTiles'),
+  REDO: document.getElementById('redo'),
+  REFINE: document.getElementById('refine'),
+  REFINE_ERROR: document.getElementById('refineError'),
   REGENERATE: document.getElementById('regenerate'),
+  RELAX: document.getElementById('relax'),
+  RELAX_ANIMATE: document.getElementById('relaxAnimate'),
+  RELAX_ITERATIONS: document.getElementById('relaxIterations'),
+  SAVE: document.getElementById('save'),
+  SCALE: document.getElementById('scale'),
+  SEAMLESS: document.getElementById('seamless'),
+  SHADING: document.getElementById('shading'),
+  SUBDIVISIONS: document.getElementById('subdivisions'),
+  SUBDIVISION_VARIATION: document.getElementById('subdivisionVariation'),
+  UNDO: document.getElementById('undo'),
+  DISPLAY_BORDERS: document.getElementById('displayBorders'),
   DISPLAY_CAPITALS: document.getElementById('displayCapitals'),
+  DISPLAY_DELAUNAY: document.getElementById('displayDelaunay'),
+  DISPLAY_PARENT_BORDERS: document.getElementById('displayParentBorders'),
+  DISTRIBUTION: document.getElementById('distribution'),
   UPLOAD: document.getElementById('upload'),
+  WEIGHTING: document.getElementById('weighting'),
+  WEIGHTS: document.getElementById('weights'),
 };
 
+// Boolean options can be set via URL params, e.g. from a shared link
+if (URL_PARAMS.has('antialias')) {
+  El.ANTIALIAS.checked = URL_PARAMS.get('antialias') !== '0';
+}
+if (URL_PARAMS.has('capitals')) {
+  El.DISPLAY_CAPITALS.checked = URL_PARAMS.get('capitals') !== '0';
+}
+if (URL_PARAMS.has('borders')) {
+  El.DISPLAY_BORDERS.checked = URL_PARAMS.get('borders') !== '0';
+}
+if (URL_PARAMS.has('delaunay')) {
+  El.DISPLAY_DELAUNAY.checked = URL_PARAMS.get('delaunay') !== '0';
+}
+if (URL_PARAMS.has('parentBorders')) {
+  El.DISPLAY_PARENT_BORDERS.checked = URL_PARAMS.get('parentBorders') !== '0';
+}
+if (URL_PARAMS.has('seamless')) {
+  El.SEAMLESS.checked = URL_PARAMS.get('seamless') !== '0';
+}
+if (URL_PARAMS.has('refine')) {
+  El.REFINE.checked = URL_PARAMS.get('refine') !== '0';
+}
+
+// So can the border style, heatmap, antialiasing quality, shading, capital
+// distribution, weighting, the fit of an image, mosaic colors and refinement,
+// and the output size
+if (URL_PARAMS.has('borderWidth')) {
+  El.BORDER_WIDTH.value = URL_PARAMS.get('borderWidth');
+}
+if (URL_PARAMS.has('borderColor')) {
+  El.BORDER_COLOR.value = '#' + URL_PARAMS.get('borderColor');
+}
+if (URL_PARAMS.has('heatmap')) {
+  El.HEATMAP.value = URL_PARAMS.get('heatmap');
+}
+if (URL_PARAMS.has('antialiasQuality')) {
+  El.ANTIALIAS_QUALITY.value = URL_PARAMS.get('antialiasQuality');
+}
+if (URL_PARAMS.has('shading')) {
+  El.SHADING.value = URL_PARAMS.get('shading');
+}
+if (URL_PARAMS.has('distribution')) {
+  El.DISTRIBUTION.value = URL_PARAMS.get('distribution');
+}
+if (URL_PARAMS.has('weighting')) {
+  El.WEIGHTING.value = URL_PARAMS.get('weighting');
+}
+if (URL_PARAMS.has('weights')) {
+  El.WEIGHTS.value = URL_PARAMS.get('weights');
+}
+if (URL_PARAMS.has('imageFit')) {
+  El.IMAGE_FIT.value = URL_PARAMS.get('imageFit');
+}
+if (URL_PARAMS.has('imageBackground')) {
+  El.IMAGE_BACKGROUND.value = '#' + URL_PARAMS.get('imageBackground');
+}
+if (URL_PARAMS.has('imageZoom')) {
+  El.IMAGE_ZOOM.value = URL_PARAMS.get('imageZoom');
+}
+if (URL_PARAMS.has('imagePanX')) {
+  El.IMAGE_PAN_X.value = URL_PARAMS.get('imagePanX');
+}
+if (URL_PARAMS.has('imagePanY')) {
+  El.IMAGE_PAN_Y.value = URL_PARAMS.get('imagePanY');
+}
+if (URL_PARAMS.has('mosaicColor')) {
+  El.MOSAIC_COLOR.value = URL_PARAMS.get('mosaicColor');
+}
+if (URL_PARAMS.has('refineError')) {
+  El.REFINE_ERROR.value = URL_PARAMS.get('refineError');
+}
+
+// The subdivisions param is a list of tile counts like '8,4' (see
+// subdivideTiles in voronoi.js)
+if (URL_PARAMS.has('subdivisions')) {
+  El.SUBDIVISIONS.value = URL_PARAMS.get('subdivisions');
+}
+if (URL_PARAMS.has('variation')) {
+  El.SUBDIVISION_VARIATION.value = URL_PARAMS.get('variation');
+}
+
+// Custom metrics are registered by the modules in the metrics param, a list of
+// URLs like 'my-metrics.js' (see registerMetric in util.js). List them after
+// the built-in ones.
+if (URL_PARAMS.has('metrics')) {
+  try {
+    await Promise.all(URL_PARAMS.get('metrics').split(',').map(importMetrics));
+  } catch (error) {
+    console.error(error);
+  }
+}
+for (const name of getMetricNames()) {
+  if (![...El.METRIC.options].some(option => option.value === name)) {
+    El.METRIC.add(new Option(name));
+  }
+}
+
+/**
+ * Splits up a metric spec like '3' or 'chebyshev:2:45' (see getMetric in
+ * util.js) among the metric inputs.
+ */
+function showMetricSpec(spec) {
+  const [name, aspect, angle] = spec.split(':');
+  if (getMetricNames().includes(name)) {
+    El.METRIC.value = name;
+  } else if (Number(name) > 0) {
+    El.METRIC.value = 'lp';
+    El.METRIC_P.value = name;
+  }
+  El.METRIC_ASPECT.value = Number(aspect) || 1;
+  El.METRIC_ANGLE.value = Number(angle) || 0;
+  El.METRIC_P.disabled = El.METRIC.value !== 'lp';
+}
+
+/**
+ * Shows a palette spec, i.e. the name of a built-in palette or a list of hex
+ * codes (see palette.js), on the palette inputs.
+ */
+function showPaletteSpec(palette) {
+  if (palette === 'random' || PALETTE_NAMES.includes(palette)) {
+    El.PALETTE.value = palette;
+  } else {
+    El.PALETTE.value = 'custom';
+    El.PALETTE_COLORS.value = palette;
+  }
+}
+
+// The metric and palette params are specs for the above
+if (URL_PARAMS.has('metric')) {
+  showMetricSpec(URL_PARAMS.get('metric'));
+}
+El.METRIC_P.disabled = El.METRIC.value !== 'lp';
+if (URL_PARAMS.has('palette')) {
+  showPaletteSpec(URL_PARAMS.get('palette'));
+}
+if (URL_PARAMS.has('coloring')) {
+  El.COLORING.value = URL_PARAMS.get('coloring');
+}
+
+/** Formats a palette for the custom colors input, e.g. '#264653 #2a9d8f'. */
+function toPaletteText(palette) {
+  return '#' + formatPalette(palette).replaceAll('-', ' #');
+}
+
+/**
+ * Returns the palette spec for the palette inputs. Invalid custom colors are
+ * reported on their input and fall back to random colors.
+ */
+function getPaletteSpec() {
+  El.PALETTE_COLORS.setCustomValidity('');
+  if (El.PALETTE.value !== 'custom') {
+    return El.PALETTE.value;
+  }
+  try {
+    return formatPalette(parsePalette(El.PALETTE_COLORS.value));
+  } catch (error) {
+    El.PALETTE_COLORS.setCustomValidity(error.message);
+    El.PALETTE_COLORS.reportValidity();
+    return 'random';
+  }
+}
+
+/** Returns the border width input's value, which must be positive. */
+function getBorderWidth() {
+  return Number(El.BORDER_WIDTH.value) > 0 ? Number(El.BORDER_WIDTH.value) : 2;
+}
+
+/** Returns the tile counts in the subdivisions input, skipping invalid ones. */
+function getSubdivisions() {
+  return El.SUBDIVISIONS.value.split(/[\s,]+/)
+      .map(count => parseInt(count))
+      .filter(count => count > 0);
+}
+
+/** Returns the color variation input's value, clamped to [0, 1]. */
+function getSubdivisionVariation() {
+  return Math.min(1, Math.max(0, Number(El.SUBDIVISION_VARIATION.value) || 0));
+}
+
+/** Returns the image zoom input's value, which must be positive. */
+function getImageZoom() {
+  return Number(El.IMAGE_ZOOM.value) > 0 ? Number(El.IMAGE_ZOOM.value) : 1;
+}
+
+/** Returns the refinement's target error, which must not be negative. */
+function getRefineError() {
+  return Math.max(0, Number(El.REFINE_ERROR.value) || 0);
+}
+
+/** Returns the metric spec for the metric inputs. */
+function getMetricSpec() {
+  const name = El.METRIC.value === 'lp' ?
+      String(Number(El.METRIC_P.value) || 2) :
+      El.METRIC.value;
+  const aspect = Number(El.METRIC_ASPECT.value) || 1;
+  const angle = Number(El.METRIC_ANGLE.value) || 0;
+  return aspect === 1 && angle === 0 ? name : `${name}:${aspect}:${angle}`;
+}
+
+El.OUTPUT_WIDTH.value = URL_PARAMS.get('width') || '';
+El.OUTPUT_HEIGHT.value = URL_PARAMS.get('height') || '';
+El.SCALE.value = URL_PARAMS.get('scale') || El.SCALE.value;
+
+/** Parses a seed URL param; returns undefined if it's missing or invalid. */
+function parseSeed(param) {
+  const seed = Number(param);
+  return param && Number.isInteger(seed) ? seed >>> 0 : undefined;
+}
+
+/** Returns the render options that are set by inputs. */
+function getInputOptions() {
+  return {
+    antialias: !TEST_MODE && El.ANTIALIAS.checked,
+    antialiasQuality: El.ANTIALIAS_QUALITY.value,
+    borderColor: El.BORDER_COLOR.value,
+    borderWidth: getBorderWidth(),
+    coloring: El.COLORING.value,
+    displayBorders: El.DISPLAY_BORDERS.checked,
+    displayCapitals: El.DISPLAY_CAPITALS.checked,
+    displayDelaunay: El.DISPLAY_DELAUNAY.checked,
+    displayParentBorders: El.DISPLAY_PARENT_BORDERS.checked,
+    distribution: El.DISTRIBUTION.value,
+    heatmap: El.HEATMAP.value,
+    imageBackground: El.IMAGE_BACKGROUND.value,
+    imageFit: El.IMAGE_FIT.value,
+    imagePanX: Number(El.IMAGE_PAN_X.value),
+    imagePanY: Number(El.IMAGE_PAN_Y.value),
+    imageZoom: getImageZoom(),
+    metric: getMetricSpec(),
+    mosaicColor: El.MOSAIC_COLOR.value,
+    numTiles: parseInt(El.NUM_TILES.value),
+    palette: getPaletteSpec(),
+    refine: El.REFINE.checked,
+    refineError: getRefineError(),
+    seamless: El.SEAMLESS.checked,
+    shading: El.SHADING.value,
+    subdivisions: getSubdivisions(),
+    subdivisionVariation: getSubdivisionVariation(),
+    weighting: El.WEIGHTING.value,
+    weights: El.WEIGHTS.value,
+  };
+}
+
+/**
+ * Sets the inputs to the given render options, e.g. from a saved diagram (see
+ * serializeDiagram). Options that are missing keep their inputs as they are.
+ */
+function showOptions(savedOptions) {
+  const checkboxes = {
+    antialias: El.ANTIALIAS,
+    displayBorders: El.DISPLAY_BORDERS,
+    displayCapitals: El.DISPLAY_CAPITALS,
+    displayDelaunay: El.DISPLAY_DELAUNAY,
+    displayParentBorders: El.DISPLAY_PARENT_BORDERS,
+    refine: El.REFINE,
+    seamless: El.SEAMLESS,
+  };
+  const inputs = {
+    antialiasQuality: El.ANTIALIAS_QUALITY,
+    borderColor: El.BORDER_COLOR,
+    borderWidth: El.BORDER_WIDTH,
+    coloring: El.COLORING,
+    distribution: El.DISTRIBUTION,
+    heatmap: El.HEATMAP,
+    imageBackground: El.IMAGE_BACKGROUND,
+    imageFit: El.IMAGE_FIT,
+    imagePanX: El.IMAGE_PAN_X,
+    imagePanY: El.IMAGE_PAN_Y,
+    imageZoom: El.IMAGE_ZOOM,
+    mosaicColor: El.MOSAIC_COLOR,
+    refineError: El.REFINE_ERROR,
+    shading: El.SHADING,
+    subdivisionVariation: El.SUBDIVISION_VARIATION,
+    weighting: El.WEIGHTING,
+    weights: El.WEIGHTS,
+  };
+  for (const [name, value] of Object.entries(savedOptions)) {
+    const input = inputs[name];
+    if (name in checkboxes) {
+      checkboxes[name].checked = value;
+    } else if (input && (input.tagName !== 'SELECT' ||
+                         [...input.options].some(o => o.value === value))) {
+      input.value = value;
+    }
+  }
+  if (savedOptions.subdivisions) {
+    El.SUBDIVISIONS.value = savedOptions.subdivisions.join(', ');
+  }
+  if (savedOptions.metric) {
+    showMetricSpec(savedOptions.metric);
+  }
+  if (savedOptions.palette) {
+    showPaletteSpec(savedOptions.palette);
+  }
+}
+
 // Render options
 const options = {
-  antialias: !TEST_MODE && El.ANTIALIAS.checked,
+  ...getInputOptions(),
   container: El.CANVAS_CONTAINER,
-  displayCapitals: El.DISPLAY_CAPITALS.checked,
   imageUrl: null,
-  numTiles: parseInt(El.NUM_TILES.value),
+  onProgress: showProgress,
+  // the size of the image to download: the size inputs (or the window's size)
+  // multiplied by the scale input
+  get outputWidth() {
+    return Math.max(1, Math.round(getBaseWidth() * getScale()));
+  },
+  get outputHeight() {
+    return Math.max(1, Math.round(getBaseHeight() * getScale()));
+  },
+  // the size of the displayed preview, which fits the output into the window
+  get width() {
+    return Math.max(1, Math.round(this.outputWidth * getPreviewScale()));
+  },
+  get height() {
+    return Math.max(1, Math.round(this.outputHeight * getPreviewScale()));
+  },
 };
 
-// Hold on to the Voronoi diagram state in order to recolor it (etc.)
-drawRandomVoronoiDiagram(options).then(state => {
-  /** Invokes fn if there's not already a render in progress. */
+// edits (and capitals) are drawn on this thread, so it needs the metric and
+// topology too
+setMetric(options.metric);
+setSeamless(options.seamless, options.width, options.height);
+
+/** Returns the output width before scaling. */
+function getBaseWidth() {
+  return parseInt(El.OUTPUT_WIDTH.value) || window.innerWidth;
+}
+
+/** Returns the output height before scaling. */
+function getBaseHeight() {
+  return parseInt(El.OUTPUT_HEIGHT.value) || window.innerHeight;
+}
+
+/** Returns the scale input's value, which must be positive. */
+function getScale() {
+  return Number(El.SCALE.value) > 0 ? Number(El.SCALE.value) : 1;
+}
+
+/** Returns how much to shrink the output so that it fits in the window. */
+function getPreviewScale() {
+  return Math.min(
+      1, window.innerWidth / options.outputWidth,
+      window.innerHeight / options.outputHeight);
+}
+
+/**
+ * Returns the maximum number of tiles for a canvas of the given size, by
+ * default the preview's. Tiles are placed on the preview's pixels, and
+ * scaled up from there for the output size (see scaleTiles), so a larger
+ * output doesn't make room for more of them.
+ */
+function getMaxNumTiles(width = options.width, height = options.height) {
+  return width * height >> 4;
+}
+
+/** Limits the number of tiles to the maximum for the preview's size. */
+function limitNumTiles() {
+  const maxNumTiles = getMaxNumTiles();
+  El.NUM_TILES.max = maxNumTiles;
+  if (options.numTiles > maxNumTiles) {
+    options.numTiles = El.NUM_TILES.value = maxNumTiles;
+  }
+}
+
+/** Prompts the user to save the given blob as a file. */
+function downloadBlob(blob, filename) {
+  const link = document.createElement('a');
+  link.href = URL.createObjectURL(blob);
+  link.download = filename;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+}
+
+/** The size of the thumbnails in the history strip, in pixels. */
+const THUMBNAIL_SIZE = 64;
+
+/** Updates the progress bar; it hides itself once a stage is complete. */
+function showProgress(stage, fraction) {
+  El.PROGRESS.style.width = `${100 * fraction}%`;
+  El.PROGRESS.classList.toggle('hidden', fraction >= 1);
+}
+
+// Hold on to the Voronoi diagram state in order to recolor it (etc.). Only the
+// first diagram uses the seeds from the URL.
+limitNumTiles();
+drawRandomVoronoiDiagram({
+  ...options,
+  seed: parseSeed(URL_PARAMS.get('seed')),
+  colorSeed: parseSeed(URL_PARAMS.get('colors')),
+}).then(state => {
+  // Every diagram that's displayed goes in the history, so that regenerating,
+  // recoloring, editing (etc.) can be undone
+  const diagramHistory = createHistory();
+
+  /** Returns what to store in the history along with the current diagram. */
+  const getHistoryDetails = () => ({
+    imageUrl: options.imageUrl,
+    thumbnail: () => state.canvas.toThumbnail(THUMBNAIL_SIZE),
+  });
+
+  /** Records the current diagram in the history, if it's a new one. */
+  function recordHistory() {
+    if (state.pixels.length > 0 &&
+        diagramHistory.record(state, getHistoryDetails())) {
+      showHistory();
+    }
+  }
+
+  /** Shows the history's thumbnails, highlighting the current diagram's. */
+  function showHistory() {
+    const {entries, index} = diagramHistory;
+    El.HISTORY.replaceChildren(...entries.map(({thumbnail}, i) => {
+      thumbnail.classList.toggle('current', i === index);
+      thumbnail.onclick = () => doRender(() => restoreDiagram(i));
+      return thumbnail;
+    }));
+    El.HISTORY.children[index]?.scrollIntoView({inline: 'nearest'});
+    El.UNDO.disabled = index <= 0;
+    El.REDO.disabled = index >= entries.length - 1;
+  }
+
+  /**
+   * Invokes fn if there's not already a render in progress. Otherwise, cancels
+   * the render in progress and invokes fn once it has stopped.
+   */
   const doRender = (() => {
     let renderInProgress = false;
     let debouncedFn = null;
     return async (fn) => {
       if (renderInProgress) {
         debouncedFn = fn;
+        cancelRender();
       } else {
         renderInProgress = true;
-        await fn();
-        renderInProgress = false;
+        try {
+          await fn();
+          recordHistory();
+          showMosaicError();
+          showImageOptions();
+        } catch (error) {
+          if (error.name !== 'AbortError') {
+            throw error;
+          }
+          showProgress('cancelled', 1);
+        } finally {
+          renderInProgress = false;
+        }
         if (debouncedFn) {
           fn = debouncedFn;
           debouncedFn = null;
@@ -49,6 +572,26 @@ drawRandomVoronoiDiagram(options).then(state => {
     };
   })();
 
+  recordHistory();
+  showMosaicError();
+  showImageOptions();
+
+  // A shared link may call for a relaxed diagram
+  if (URL_PARAMS.has('relax')) {
+    const iterations = parseInt(URL_PARAMS.get('relax')) || 0;
+    doRender(async () => {
+      state = await relax(state, options, {iterations});
+    });
+  }
+
+  /** Relaxes the diagram according to the relax inputs. */
+  async function relaxDiagram() {
+    state = await relax(state, options, {
+      iterations: parseInt(El.RELAX_ITERATIONS.value) || 1,
+      animate: El.RELAX_ANIMATE.checked,
+    });
+  }
+
   // Handle menu
   let expandMenu = !El.CONTROLS.classList.contains('hidden');
   function toggleMenu() {
@@ -92,7 +635,7 @@ drawRandomVoronoiDiagram(options).then(state => {
     toggleMenu();
     options.antialias = El.ANTIALIAS.checked = false;
     const lognPerMs = Math.log2(finalNumTiles) / (duration * 1000);
-    return new Promise(resolve => {
+    return new Promise((resolve, reject) => {
       let start;
       const tick = (t) => {
         if (!start) start = t;
@@ -104,41 +647,172 @@ drawRandomVoronoiDiagram(options).then(state => {
           drawRandomVoronoiDiagram(options).then(newState => {
             state = newState;
             requestAnimationFrame(tick);
-          });
+          }, reject);
         } else {
           options.numTiles = finalNumTiles;
           El.NUM_TILES.value = options.numTiles;
           drawRandomVoronoiDiagram(options).then(newState => {
             state = newState;
             resolve();
-          });
+          }, reject);
         }
       };
       requestAnimationFrame(tick);
     });
   }
 
+  /**
+   * Records the tiles growing according to the record inputs, rendering each
+   * frame off-screen at the output size, and downloads the animation. The
+   * frames share the diagram's seed, so (for most distributions) each one adds
+   * to the capitals of the one before. A format that the browser can't encode
+   * is reported on the format input.
+   */
+  async function recordGrowth() {
+    const format = El.RECORD_FORMAT.value;
+    const seconds = Number(El.RECORD_SECONDS.value) || 5;
+    const fps = Math.min(Math.max(parseInt(El.RECORD_FPS.value) || 15, 1), 60);
+    const {outputWidth: width, outputHeight: height} = options;
+    // the frames are placed at the output size
+    const maxNumTiles = getMaxNumTiles(width, height);
+    const clampNumTiles = (numTiles) =>
+        Math.min(Math.max(numTiles || 1, 1), maxNumTiles);
+    const numTilesPerFrame = getFrameTileCounts(
+        Math.max(1, Math.round(seconds * fps)),
+        clampNumTiles(parseInt(El.RECORD_START_TILES.value)),
+        clampNumTiles(parseInt(El.RECORD_END_TILES.value)),
+        El.RECORD_EASING.value);
+    const scale = width / state.canvas.width;
+    El.RECORD_FORMAT.setCustomValidity('');
+    let encoder;
+    try {
+      encoder = createAnimationEncoder(
+          format, {width, height, fps, numFrames: numTilesPerFrame.length});
+    } catch (error) {
+      El.RECORD_FORMAT.setCustomValidity(error.message);
+      El.RECORD_FORMAT.reportValidity();
+      return;
+    }
+    try {
+      for (const [frame, numTiles] of numTilesPerFrame.entries()) {
+        const canvas = await renderOffscreen(
+            null, width, height,
+            {
+              ...options,
+              borderWidth: options.borderWidth * scale,
+              numTiles,
+              onProgress: undefined,
+              seed: state.seed,
+            },
+            CAPITAL_RADIUS * scale);
+        await encoder.addFrame(canvas.readPixels());
+        showProgress('record', (frame + 1) / numTilesPerFrame.length);
+      }
+      const blob = await encoder.finish();
+      const extension = ANIMATION_EXTENSIONS[format];
+      downloadBlob(blob, `voronoi_${Date.now()}.${extension}`);
+    } catch (error) {
+      encoder.abort();
+      throw error;
+    }
+  }
+
+  /**
+   * Shows how closely the mosaic approximates the image (see
+   * measureMosaicError), if there is an image.
+   */
+  function showMosaicError() {
+    const {mosaicError} = state;
+    if (!mosaicError) {
+      El.MOSAIC_ERROR.textContent = '';
+      return;
+    }
+    const {deltaE, psnr} = mosaicError;
+    // an exact match has no noise at all
+    const psnrText = psnr === Infinity ? '∞' : psnr.toFixed(1);
+    El.MOSAIC_ERROR.textContent =
+        `error: ΔE ${deltaE.toFixed(1)}, PSNR ${psnrText} dB`;
+  }
+
+  /**
+   * Disables the capital distributions and the source of weights that need an
+   * image (see placement.js) unless there is one. Without one, they'd fall
+   * back to uniform placement and random weights, so if they're selected, the
+   * inputs switch to those instead.
+   */
+  function showImageOptions() {
+    const hasImage = !!options.imageUrl;
+    for (const option of El.DISTRIBUTION.options) {
+      option.disabled = !hasImage && usesImage(option.value);
+    }
+    for (const option of El.WEIGHTS.options) {
+      option.disabled = !hasImage && option.value === 'brightness';
+    }
+    if (El.DISTRIBUTION.selectedOptions[0]?.disabled) {
+      El.DISTRIBUTION.value = options.distribution = 'uniform';
+    }
+    if (El.WEIGHTS.selectedOptions[0]?.disabled) {
+      El.WEIGHTS.value = options.weights = 'random';
+    }
+  }
+
   // Handle image upload
   El.UPLOAD.addEventListener('change', () => {
     doRender(() => {
       if (!El.UPLOAD.files || !El.UPLOAD.files[0]) {
         return;
       }
-      return new Promise(resolve => {
-        options.imageUrl = URL.createObjectURL(El.UPLOAD.files[0]);
-        if (animate) {
-          animateImage().then(resolve);
-        } else {
-          rerender(state, options).then(resolve);
-        }
-      });
+      options.imageUrl = URL.createObjectURL(El.UPLOAD.files[0]);
+      if (animate) {
+        return animateImage();
+      } else if (options.refine) {
+        return refineDiagram();
+      } else {
+        return rerender(state, options);
+      }
     });
   });
 
+  /**
+   * Draws a new diagram from the same seed, whose tiles are refined to fit the
+   * image (see drawRandomVoronoiDiagram).
+   */
+  async function refineDiagram() {
+    state = await drawRandomVoronoiDiagram(
+        {...options, seed: state.seed, colorSeed: state.colorSeed});
+  }
+
+  // Handle image fit inputs, which only matter for an image
+  for (const input of [
+           El.IMAGE_FIT, El.IMAGE_BACKGROUND, El.IMAGE_ZOOM, El.IMAGE_PAN_X,
+           El.IMAGE_PAN_Y]) {
+    input.addEventListener('change', () => {
+      options.imageFit = El.IMAGE_FIT.value;
+      options.imageBackground = El.IMAGE_BACKGROUND.value;
+      options.imageZoom = getImageZoom();
+      options.imagePanX = Number(El.IMAGE_PAN_X.value);
+      options.imagePanY = Number(El.IMAGE_PAN_Y.value);
+      if (options.imageUrl) {
+        doRender(() => options.refine ? refineDiagram() :
+                                        rerender(state, options));
+      }
+    });
+  }
+
+  // Handle refinement inputs, which only matter for an image
+  for (const input of [El.REFINE, El.REFINE_ERROR]) {
+    input.addEventListener('change', () => {
+      options.refine = El.REFINE.checked;
+      options.refineError = getRefineError();
+      if (options.imageUrl) {
+        doRender(refineDiagram);
+      }
+    });
+  }
+
   // Handle numTiles input
-  El.NUM_TILES.max = window.innerWidth * window.innerHeight >> 4;
   El.NUM_TILES.addEventListener('keydown', event => {
-    const maxNumTiles = window.innerWidth * window.innerHeight >> 4;
+    const maxNumTiles = getMaxNumTiles();
     El.NUM_TILES.max = maxNumTiles;
     if (event.key === 'Enter') {
       doRender(async () => {
@@ -160,6 +834,121 @@ drawRandomVoronoiDiagram(options).then(state => {
     }
   });
 
+  // Handle distribution input
+  El.DISTRIBUTION.addEventListener('change', () => {
+    options.distribution = El.DISTRIBUTION.value;
+    doRender(async () => {
+      state = await drawRandomVoronoiDiagram(options);
+    });
+  });
+
+  /**
+   * Draws the current tiles again from scratch, e.g. after changing the
+   * metric, weighting or seamlessness, which changes which pixels belong to
+   * which tiles.
+   */
+  async function redrawTiles() {
+    state = {
+      ...await drawRandomVoronoiDiagram({
+        ...options,
+        seed: state.seed,
+        colorSeed: state.colorSeed,
+        tiles: state.tiles,
+        levels: state.levels,
+        weightScale: state.weightScale,
+      }),
+      relaxations: state.relaxations,
+    };
+  }
+
+  // Handle metric inputs
+  for (const input of
+           [El.METRIC, El.METRIC_P, El.METRIC_ASPECT, El.METRIC_ANGLE]) {
+    input.addEventListener('change', () => {
+      El.METRIC_P.disabled = El.METRIC.value !== 'lp';
+      options.metric = getMetricSpec();
+      setMetric(options.metric);
+      doRender(redrawTiles);
+    });
+  }
+
+  // Handle subdivision inputs, which call for a new diagram from the seed
+  for (const input of [El.SUBDIVISIONS, El.SUBDIVISION_VARIATION]) {
+    input.addEventListener('change', () => {
+      options.subdivisions = getSubdivisions();
+      options.subdivisionVariation = getSubdivisionVariation();
+      doRender(async () => {
+        state = await drawRandomVoronoiDiagram(
+            {...options, seed: state.seed, colorSeed: state.colorSeed});
+      });
+    });
+  }
+
+  // Handle weighting inputs. Changing the source of the weights calls for new
+  // weights from the seed.
+  El.WEIGHTING.addEventListener('change', () => {
+    options.weighting = El.WEIGHTING.value;
+    doRender(redrawTiles);
+  });
+  El.WEIGHTS.addEventListener('change', () => {
+    options.weights = El.WEIGHTS.value;
+    doRender(async () => {
+      state = await drawRandomVoronoiDiagram(
+          {...options, seed: state.seed, colorSeed: state.colorSeed});
+    });
+  });
+
+  // Handle palette inputs. These only change the colors, so recolor.
+  El.PALETTE_COLORS.addEventListener('change', () => {
+    El.PALETTE.value = 'custom';
+    El.PALETTE.dispatchEvent(new Event('change'));
+  });
+  for (const input of [El.PALETTE, El.COLORING]) {
+    input.addEventListener('change', () => {
+      options.palette = getPaletteSpec();
+      options.coloring = El.COLORING.value;
+      doRender(() => recolor(state, options));
+    });
+  }
+  El.PALETTE_IMAGE.addEventListener('change', async () => {
+    if (!El.PALETTE_IMAGE.files || !El.PALETTE_IMAGE.files[0]) {
+      return;
+    }
+    El.PALETTE_IMAGE.setCustomValidity('');
+    const imageUrl = URL.createObjectURL(El.PALETTE_IMAGE.files[0]);
+    let imgPixelData;
+    try {
+      // a thumbnail has the same main colors as the full image
+      imgPixelData = await loadImagePixelData(imageUrl, 128, 128);
+    } catch (error) {
+      El.PALETTE_IMAGE.setCustomValidity(error.message);
+      El.PALETTE_IMAGE.reportValidity();
+      return;
+    } finally {
+      URL.revokeObjectURL(imageUrl);
+    }
+    El.PALETTE_COLORS.value = toPaletteText(extractPalette(imgPixelData));
+    El.PALETTE_COLORS.dispatchEvent(new Event('change'));
+  });
+
+  // Handle seamless input
+  El.SEAMLESS.addEventListener('change', () => {
+    options.seamless = El.SEAMLESS.checked;
+    setSeamless(options.seamless, options.width, options.height);
+    doRender(redrawTiles);
+  });
+
+  // Handle output size inputs
+  for (const input of [El.OUTPUT_WIDTH, El.OUTPUT_HEIGHT, El.SCALE]) {
+    input.addEventListener('change', () => {
+      limitNumTiles();
+      setSeamless(options.seamless, options.width, options.height);
+      doRender(async () => {
+        state = await drawRandomVoronoiDiagram(options);
+      });
+    });
+  }
+
   // Other inputs
   El.REGENERATE.addEventListener('mousedown', () => {
     doRender(async () => {
@@ -169,34 +958,363 @@ drawRandomVoronoiDiagram(options).then(state => {
   El.RECOLOR.addEventListener('mousedown', () => {
     doRender(() => recolor(state, options));
   });
+  El.RELAX.addEventListener('mousedown', () => {
+    doRender(relaxDiagram);
+  });
   El.DISPLAY_CAPITALS.addEventListener('change', () => {
     doRender(() => {
       options.displayCapitals = El.DISPLAY_CAPITALS.checked;
       return rerender(state, options);
     });
   });
+  El.HEATMAP.addEventListener('change', () => {
+    doRender(() => {
+      options.heatmap = El.HEATMAP.value;
+      return rerender(state, options);
+    });
+  });
+  El.DISPLAY_BORDERS.addEventListener('change', () => {
+    doRender(() => {
+      options.displayBorders = El.DISPLAY_BORDERS.checked;
+      return rerender(state, options);
+    });
+  });
+  El.DISPLAY_DELAUNAY.addEventListener('change', () => {
+    doRender(() => {
+      options.displayDelaunay = El.DISPLAY_DELAUNAY.checked;
+      return rerender(state, options);
+    });
+  });
+  El.BORDER_WIDTH.addEventListener('change', () => {
+    doRender(() => {
+      options.borderWidth = getBorderWidth();
+      return rerender(state, options);
+    });
+  });
+  El.BORDER_COLOR.addEventListener('change', () => {
+    doRender(() => {
+      options.borderColor = El.BORDER_COLOR.value;
+      return rerender(state, options);
+    });
+  });
+  El.DISPLAY_PARENT_BORDERS.addEventListener('change', () => {
+    doRender(() => {
+      options.displayParentBorders = El.DISPLAY_PARENT_BORDERS.checked;
+      return rerender(state, options);
+    });
+  });
   El.ANTIALIAS.addEventListener('change', () => {
     doRender(() => {
       options.antialias = El.ANTIALIAS.checked;
       return rerender(state, options);
     });
   });
-  El.DOWNLOAD.addEventListener('click', () => {
-    El.DOWNLOAD.download = `voronoi_${Date.now()}.png`;
-    El.DOWNLOAD.href =
-        state.canvas.toDataURL().replace('image/png', 'image/octet-stream');
+  El.ANTIALIAS_QUALITY.addEventListener('change', () => {
+    doRender(() => {
+      options.antialiasQuality = El.ANTIALIAS_QUALITY.value;
+      return rerender(state, options);
+    });
+  });
+  El.MOSAIC_COLOR.addEventListener('change', () => {
+    options.mosaicColor = El.MOSAIC_COLOR.value;
+    if (options.imageUrl) {
+      doRender(() => rerender(state, options));
+    }
+  });
+  El.SHADING.addEventListener('change', () => {
+    doRender(() => {
+      options.shading = El.SHADING.value;
+      return rerender(state, options);
+    });
+  });
+  El.DOWNLOAD.addEventListener('click', event => {
+    const {canvas} = state;
+    const {outputWidth, outputHeight} = options;
+    if (canvas.width === outputWidth && canvas.height === outputHeight) {
+      El.DOWNLOAD.download = `voronoi_${Date.now()}.png`;
+      El.DOWNLOAD.href =
+          canvas.toDataURL().replace('image/png', 'image/octet-stream');
+      return;
+    }
+    // the displayed diagram is just a preview: render it again at full size
+    event.preventDefault();
+    doRender(async () => {
+      const scale = outputWidth / canvas.width;
+      const toOutput = tiles => scaleTiles(
+          tiles, canvas.width, canvas.height, outputWidth, outputHeight);
+      const outputCanvas = await renderOffscreen(
+          toOutput(state.tiles), outputWidth, outputHeight,
+          {
+            ...options,
+            borderWidth: options.borderWidth * scale,
+            levels: state.levels?.map(toOutput),
+            weightScale: state.weightScale * scale,
+          },
+          CAPITAL_RADIUS * scale);
+      downloadBlob(await outputCanvas.toBlob(), `voronoi_${Date.now()}.png`);
+    });
+  });
+  El.RECORD.addEventListener('click', () => {
+    doRender(() => recordGrowth());
+  });
+  El.DOWNLOAD_SVG.addEventListener('click', event => {
+    if (state.pixels.length === 0) {
+      // the pixels are with the worker, mid-render
+      event.preventDefault();
+      return;
+    }
+    URL.revokeObjectURL(El.DOWNLOAD_SVG.href);
+    const svg = exportSvg(state, options);
+    El.DOWNLOAD_SVG.download = `voronoi_${Date.now()}.svg`;
+    El.DOWNLOAD_SVG.href =
+        URL.createObjectURL(new Blob([svg], {type: 'image/svg+xml'}));
+  });
+  for (const [link, format, type] of [
+           [El.DOWNLOAD_STATS_JSON, 'json', 'application/json'],
+           [El.DOWNLOAD_STATS_CSV, 'csv', 'text/csv'],
+         ]) {
+    link.addEventListener('click', event => {
+      if (state.pixels.length === 0) {
+        // the pixels are with the worker, mid-render
+        event.preventDefault();
+        return;
+      }
+      URL.revokeObjectURL(link.href);
+      const stats = exportStats(state, format);
+      link.download = `voronoi_stats_${Date.now()}.${format}`;
+      link.href = URL.createObjectURL(new Blob([stats], {type}));
+    });
+  }
+  El.SAVE.addEventListener('click', () => {
+    URL.revokeObjectURL(El.SAVE.href);
+    const json = serializeDiagram(state, options);
+    El.SAVE.download = `voronoi_${Date.now()}.json`;
+    El.SAVE.href =
+        URL.createObjectURL(new Blob([json], {type: 'application/json'}));
+  });
+
+  /**
+   * Opens a diagram saved as JSON (see serializeDiagram): sets the inputs to
+   * its options and output size, and renders its tiles on the canvas. What's
+   * wrong with an invalid file, or with a saved image that can't be loaded any
+   * more, is reported on the open input.
+   */
+  async function openDiagram(file) {
+    El.OPEN.setCustomValidity('');
+    let diagram;
+    try {
+      const text = await file.text();
+      // so that opening the same file again is a change
+      El.OPEN.value = '';
+      diagram = parseDiagram(text);
+    } catch (error) {
+      El.OPEN.setCustomValidity(error.message);
+      El.OPEN.reportValidity();
+      return;
+    }
+    showOptions(diagram.options);
+    El.OUTPUT_WIDTH.value = diagram.outputWidth;
+    El.OUTPUT_HEIGHT.value = diagram.outputHeight;
+    El.SCALE.value = 1;
+    El.NUM_TILES.max = getMaxNumTiles();
+    El.NUM_TILES.value = (diagram.levels ?? [diagram.tiles])[0].length;
+    Object.assign(options, getInputOptions());
+    setMetric(options.metric);
+    setSeamless(options.seamless, options.width, options.height);
+    try {
+      await drawDiagram(diagram);
+    } catch (error) {
+      if (error.name === 'AbortError' || !diagram.imageUrl) {
+        throw error;
+      }
+      // e.g. an https: image that's gone, or that no longer allows CORS
+      options.imageUrl = null;
+      El.OPEN.setCustomValidity(
+          `Cannot load the image ${diagram.imageUrl}: ${error.message}`);
+      El.OPEN.reportValidity();
+    }
+  }
+
+  /**
+   * Draws the tiles of a diagram that was saved (see parseDiagram) or taken
+   * from the history, with the current options.
+   */
+  async function drawDiagram(diagram) {
+    options.imageUrl = diagram.imageUrl ?? null;
+    // the preview may be a different size than the one saved
+    const {width, height} = options;
+    const toCanvas = tiles =>
+        scaleTiles(tiles, diagram.width, diagram.height, width, height);
+    state = {
+      ...await drawRandomVoronoiDiagram({
+        ...options,
+        seed: diagram.seed,
+        colorSeed: diagram.colorSeed,
+        tiles: toCanvas(diagram.tiles),
+        levels: diagram.levels?.map(toCanvas),
+        weightScale: diagram.weightScale &&
+            diagram.weightScale * width / diagram.width,
+      }),
+      relaxations: diagram.relaxations,
+    };
+  }
+
+  /**
+   * Draws the diagram at `index` in the history and makes it the current one.
+   * Its entry is updated to match, since the preview may have changed size.
+   */
+  async function restoreDiagram(index) {
+    const entry = diagramHistory.entries[index];
+    if (!entry || index === diagramHistory.index) {
+      return;
+    }
+    await drawDiagram(entry);
+    diagramHistory.moveTo(index);
+    diagramHistory.replace(state, getHistoryDetails());
+    showHistory();
+  }
+  El.UNDO.addEventListener('click', () => {
+    doRender(() => restoreDiagram(diagramHistory.index - 1));
+  });
+  El.REDO.addEventListener('click', () => {
+    doRender(() => restoreDiagram(diagramHistory.index + 1));
+  });
+  El.OPEN.addEventListener('change', () => {
+    if (El.OPEN.files && El.OPEN.files[0]) {
+      doRender(() => openDiagram(El.OPEN.files[0]));
+    }
+  });
+  // diagrams can be dropped onto the page too
+  document.addEventListener('dragover', event => event.preventDefault());
+  document.addEventListener('drop', event => {
+    event.preventDefault();
+    const file = event.dataTransfer.files[0];
+    if (file &&
+        (file.type === 'application/json' || /\.json$/i.test(file.name))) {
+      doRender(() => openDiagram(file));
+    }
+  });
+  El.COPY_LINK.addEventListener('click', () => {
+    navigator.clipboard.writeText(getShareableUrl()).then(() => {
+      El.COPY_LINK.textContent = 'copied!';
+      setTimeout(() => El.COPY_LINK.textContent = 'copy link', 2000);
+    });
   });
 
+  /** Returns a URL that reproduces the current diagram. */
+  function getShareableUrl() {
+    const params = new URLSearchParams();
+    params.set('seed', state.seed);
+    if (state.colorSeed !== undefined) {
+      params.set('colors', state.colorSeed);
+    }
+    // a nested diagram's tile count is that of its top level
+    params.set('n', (state.levels ?? [state.tiles])[0].length);
+    if (state.levels) {
+      params.set('subdivisions', options.subdivisions.join());
+      if (options.subdivisionVariation !== 0.5) {
+        params.set('variation', options.subdivisionVariation);
+      }
+    }
+    if (options.distribution !== 'uniform') {
+      params.set('distribution', options.distribution);
+    }
+    if (options.palette !== 'random') {
+      params.set('palette', options.palette);
+    }
+    if (options.coloring !== 'random') {
+      params.set('coloring', options.coloring);
+    }
+    if (options.weighting !== 'none') {
+      params.set('weighting', options.weighting);
+      params.set('weights', options.weights);
+    }
+    if (options.imageFit !== 'stretch') {
+      params.set('imageFit', options.imageFit);
+    }
+    if (options.imageBackground !== '#000000') {
+      params.set('imageBackground', options.imageBackground.slice(1));
+    }
+    if (options.imageZoom !== 1) {
+      params.set('imageZoom', options.imageZoom);
+    }
+    if (options.imagePanX !== 0 || options.imagePanY !== 0) {
+      params.set('imagePanX', options.imagePanX);
+      params.set('imagePanY', options.imagePanY);
+    }
+    if (options.mosaicColor !== 'mean') {
+      params.set('mosaicColor', options.mosaicColor);
+    }
+    if (options.refine) {
+      params.set('refine', 1);
+      if (options.refineError > 0) {
+        params.set('refineError', options.refineError);
+      }
+    }
+    params.set('width', getBaseWidth());
+    params.set('height', getBaseHeight());
+    if (getScale() !== 1) {
+      params.set('scale', getScale());
+    }
+    if (state.relaxations) {
+      params.set('relax', state.relaxations);
+    }
+    if (options.metric !== 'euclidean') {
+      params.set('metric', options.metric);
+    }
+    if (URL_PARAMS.has('metrics')) {
+      params.set('metrics', URL_PARAMS.get('metrics'));
+    }
+    if (options.seamless) {
+      params.set('seamless', 1);
+    }
+    params.set('antialias', options.antialias ? 1 : 0);
+    if (options.antialias && options.antialiasQuality !== '3x3') {
+      params.set('antialiasQuality', options.antialiasQuality);
+    }
+    if (options.shading !== 'none') {
+      params.set('shading', options.shading);
+    }
+    params.set('capitals', options.displayCapitals ? 1 : 0);
+    if (options.displayBorders || options.displayParentBorders) {
+      if (options.displayBorders) {
+        params.set('borders', 1);
+      }
+      if (options.borderWidth !== 2) {
+        params.set('borderWidth', options.borderWidth);
+      }
+      if (options.borderColor !== '#000000') {
+        params.set('borderColor', options.borderColor.slice(1));
+      }
+    }
+    if (options.heatmap !== 'none') {
+      params.set('heatmap', options.heatmap);
+    }
+    if (options.displayDelaunay) {
+      params.set('delaunay', 1);
+    }
+    if (options.displayParentBorders) {
+      params.set('parentBorders', 1);
+    }
+    return `${location.origin}${location.pathname}?${params}`;
+  }
+
   // Disable context menu so we can handle right click
   El.CANVAS_CONTAINER.addEventListener('contextmenu', event => {
     event.preventDefault();
     // On mobile, however, "right click" won't trigger, so recolor here instead
-    doRender(() => recolor(state, options));
+    if (!El.EDIT_MODE.checked) {
+      doRender(() => recolor(state, options));
+    }
     return false;
   });
 
   // Handle clicks: left click = randomize; right click = recolor
   El.CANVAS_CONTAINER.addEventListener('mousedown', event => {
+    if (El.EDIT_MODE.checked) {
+      editCapitals(event);
+      return;
+    }
     doRender(async () => {
       if (event.button !== 0 || event.altKey || event.ctrlKey ||
           event.metaKey) {
@@ -207,8 +1325,144 @@ drawRandomVoronoiDiagram(options).then(state => {
     });
   });
 
+  // Handle edit mode: click to add a capital, drag to move one, shift-click
+  // to remove one, and scroll over one to change its weight. Edits update the
+  // pixels around the affected tiles immediately; then a rerender takes care
+  // of antialiasing etc.
+  let draggedTileIndex = null;
+  let dragTarget = null;
+  El.EDIT_MODE.addEventListener('change', () => {
+    // capitals need to be visible in order to grab them
+    if (El.EDIT_MODE.checked && !options.displayCapitals) {
+      doRender(() => {
+        options.displayCapitals = El.DISPLAY_CAPITALS.checked = true;
+        return rerender(state, options);
+      });
+    }
+  });
+
+  /** Returns the index of the tile whose capital is at (x, y), or -1. */
+  function findCapital(x, y) {
+    return state.tiles.findIndex(
+        tile => Math.hypot(tile.x - x, tile.y - y) <= CAPITAL_RADIUS);
+  }
+
+  /** Displays an edit without waiting for a rerender. */
+  function showEdit() {
+    state.canvas.repaint();
+    drawOverlays(state, {...options, displayCapitals: true});
+  }
+
+  /** Rerenders the diagram from scratch after an edit. */
+  function finishEdit() {
+    // the worker's cached antialiasing borders are out of date
+    state.id = undefined;
+    return rerender(state, options);
+  }
+
+  /** Adds, removes, or starts dragging a capital, depending on the click. */
+  function editCapitals(event) {
+    if (event.button !== 0) {
+      return;
+    }
+    // wait for any render in progress to hand back the pixels
+    doRender(async () => {
+      setWeighting(options.weighting, state.weightScale);
+      setSeamless(options.seamless, state.canvas.width, state.canvas.height);
+      const coordinates = state.canvas.getPixelCoordinates(event);
+      if (!coordinates) {
+        return;
+      }
+      const [x, y] = coordinates;
+      const tileIndex = findCapital(x, y);
+      if (event.shiftKey) {
+        if (tileIndex !== -1) {
+          removeTile(state, tileIndex);
+          showEdit();
+          await finishEdit();
+        }
+      } else if (tileIndex !== -1) {
+        draggedTileIndex = tileIndex;
+      } else {
+        const color = Uint8ClampedArray.from(pickColor(
+            getPalette(options.palette), x, y, Math.random, {
+              coloring: options.coloring,
+              width: state.canvas.width,
+              height: state.canvas.height,
+            }));
+        if (addTile(state, x, y, color, Math.random())) {
+          showEdit();
+          await finishEdit();
+        }
+      }
+    });
+  }
+
+  document.addEventListener('mousemove', event => {
+    if (draggedTileIndex === null) {
+      return;
+    }
+    // move at most once per frame
+    const scheduled = dragTarget !== null;
+    dragTarget = state.canvas.getPixelCoordinates(event) || dragTarget;
+    if (!scheduled && dragTarget) {
+      requestAnimationFrame(() => {
+        if (draggedTileIndex !== null && state.pixels.length > 0) {
+          moveTile(state, draggedTileIndex, ...dragTarget);
+          showEdit();
+        }
+        dragTarget = null;
+      });
+    }
+  });
+
+  document.addEventListener('mouseup', () => {
+    if (draggedTileIndex !== null) {
+      draggedTileIndex = null;
+      doRender(finishEdit);
+    }
+  });
+
+  El.CANVAS_CONTAINER.addEventListener('wheel', event => {
+    if (!El.EDIT_MODE.checked || options.weighting === 'none') {
+      return;
+    }
+    event.preventDefault();
+    doRender(async () => {
+      setWeighting(options.weighting, state.weightScale);
+      setSeamless(options.seamless, state.canvas.width, state.canvas.height);
+      const coordinates = state.canvas.getPixelCoordinates(event);
+      const tileIndex = coordinates ? findCapital(...coordinates) : -1;
+      if (tileIndex === -1) {
+        return;
+      }
+      // scrolling up makes the tile heavier
+      const {weight} = state.tiles[tileIndex];
+      setTileWeight(
+          state, tileIndex,
+          Math.min(Math.max(weight - Math.sign(event.deltaY) / 20, 0), 1));
+      showEdit();
+      await finishEdit();
+    });
+  }, {passive: false});
+
   // Handle keystrokes
   document.addEventListener('keydown', event => {
+    // keys typed into inputs are theirs, e.g. the "a" to "e" of a hex color,
+    // the "e" of a number's exponent, or ctrl+z to undo typing
+    const {target} = event;
+    if ((target.tagName === 'INPUT' && target.type !== 'checkbox') ||
+        target.tagName === 'SELECT' || target.tagName === 'TEXTAREA') {
+      return;
+    }
+    // ctrl+z undoes, and ctrl+y or ctrl+shift+z redoes
+    const key = event.key.toLowerCase();
+    if ((event.ctrlKey || event.metaKey) && (key === 'z' || key === 'y')) {
+      event.preventDefault();
+      const step = key === 'y' || event.shiftKey ? 1 : -1;
+      doRender(() => restoreDiagram(diagramHistory.index + step));
+      return;
+    }
     switch (event.key) {
       case 'Escape':
       case '`':
@@ -221,9 +1475,23 @@ drawRandomVoronoiDiagram(options).then(state => {
           return rerender(state, options);
         });
         break;
+      case 'b':
+        doRender(() => {
+          options.displayBorders = !options.displayBorders;
+          El.DISPLAY_BORDERS.checked = options.displayBorders;
+          return rerender(state, options);
+        });
+        break;
       case 'c':
         doRender(() => recolor(state, options));
         break;
+      case 'e':
+        El.EDIT_MODE.checked = !El.EDIT_MODE.checked;
+        El.EDIT_MODE.dispatchEvent(new Event('change'));
+        break;
+      case 'r':
+        doRender(relaxDiagram);
+        break;
       case 's':
         doRender(async () => {
           state = await drawRandomVoronoiDiagram(options);
@@ -260,6 +1528,7 @@ drawRandomVoronoiDiagram(options).then(state => {
       state = await drawRandomVoronoiDiagram({
         antialias: false,
         displayCapitals: false,
+        metric: options.metric,
         numTiles: options.numTiles,
       });
       const d = performance.now() - s;
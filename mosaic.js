@@ -0,0 +1,265 @@
+import {fromLab, toLab} from './palette.js';
+import {linearToSrgb, SRGB_TO_LINEAR} from './util.js';
+
+/** Ways to pick each tile's color from an image (see estimateTileColors). */
+export const MOSAIC_COLORS =
+    ['mean', 'linear', 'lab', 'median', 'dominant', 'center'];
+
+// Bits per channel of the histogram that 'dominant' finds the most common
+// color in. Coarse bins group the shades of a color together.
+const DOMINANT_BITS = 4;
+
+/**
+ * Sets the color of each tile to an estimate of the color of the image under
+ * its cell, from the image's RGBA `imgPixelData` at the size of the canvas:
+ *   - 'mean': the average sRGB value, which is muddy across edges
+ *   - 'linear': the average linear intensity, i.e. how the light would mix
+ *   - 'lab': the average in CIELAB, which is perceptually uniform
+ *   - 'median': the median of each channel, which ignores slivers of other
+ *     colors, e.g. across an edge
+ *   - 'dominant': the most common color, averaged over the pixels that have
+ *     (roughly) that color
+ *   - 'center': the color under the capital
+ * Tiles without any pixels keep their colors.
+ */
+export function estimateTileColors(
+    {tiles, canvas, pixels}, imgPixelData, estimator = 'mean') {
+  console.time('estimateTileColors');
+  if (estimator === 'center') {
+    for (const tile of tiles) {
+      const red = (tile.x + canvas.width * tile.y) << 2;
+      tile.color.set(imgPixelData.subarray(red, red + 3));
+    }
+  } else if (estimator === 'median' || estimator === 'dominant') {
+    const [offsets, pixelsByTile] = groupPixelsByTile(tiles.length, pixels);
+    const estimate = estimator === 'median' ? getMedian : getDominant;
+    for (let tileIndex = 0; tileIndex < tiles.length; ++tileIndex) {
+      const start = offsets[tileIndex];
+      const end = offsets[tileIndex + 1];
+      if (start < end) {
+        tiles[tileIndex].color.set(estimate(
+            pixelsByTile.subarray(start, end), imgPixelData));
+      }
+    }
+  } else {
+    setMeanColors(tiles, pixels, imgPixelData, estimator);
+  }
+  console.timeEnd('estimateTileColors');
+}
+
+/**
+ * Sets the color of each tile to the average of the image's colors over its
+ * cell, taken as sRGB values ('mean'), linear intensities ('linear') or
+ * CIELAB colors ('lab').
+ */
+function setMeanColors(tiles, pixels, imgPixelData, estimator) {
+  const sums = new Float64Array(3 * tiles.length);
+  const counts = new Uint32Array(tiles.length);
+  const getLab = createLabCache();
+  for (let pixelIndex = 0; pixelIndex < pixels.length; ++pixelIndex) {
+    const tileIndex = pixels[pixelIndex];
+    const sum = 3 * tileIndex;
+    const red = pixelIndex << 2;
+    ++counts[tileIndex];
+    if (estimator === 'lab') {
+      const lab = getLab(imgPixelData, red);
+      sums[sum] += lab[0];
+      sums[sum + 1] += lab[1];
+      sums[sum + 2] += lab[2];
+    } else if (estimator === 'linear') {
+      sums[sum] += SRGB_TO_LINEAR[imgPixelData[red]];
+      sums[sum + 1] += SRGB_TO_LINEAR[imgPixelData[red + 1]];
+      sums[sum + 2] += SRGB_TO_LINEAR[imgPixelData[red + 2]];
+    } else {
+      sums[sum] += imgPixelData[red];
+      sums[sum + 1] += imgPixelData[red + 1];
+      sums[sum + 2] += imgPixelData[red + 2];
+    }
+  }
+  for (let tileIndex = 0; tileIndex < tiles.length; ++tileIndex) {
+    const count = counts[tileIndex];
+    if (count === 0) {
+      continue;
+    }
+    const sum = 3 * tileIndex;
+    const mean = [sums[sum] / count, sums[sum + 1] / count,
+                  sums[sum + 2] / count];
+    const {color} = tiles[tileIndex];
+    if (estimator === 'lab') {
+      color.set(fromLab(mean));
+    } else if (estimator === 'linear') {
+      color.set(mean.map(linearToSrgb));
+    } else {
+      color.set(mean);
+    }
+  }
+}
+
+/**
+ * Sorts the pixelIndexes by tile, so that those of tile i are at
+ * [offsets[i], offsets[i + 1]) in the returned array. Returns
+ * [offsets, pixelIndexes].
+ */
+function groupPixelsByTile(numTiles, pixels) {
+  const offsets = new Uint32Array(numTiles + 1);
+  for (let pixelIndex = 0; pixelIndex < pixels.length; ++pixelIndex) {
+    ++offsets[pixels[pixelIndex] + 1];
+  }
+  for (let tileIndex = 0; tileIndex < numTiles; ++tileIndex) {
+    offsets[tileIndex + 1] += offsets[tileIndex];
+  }
+  const next = offsets.slice(0, numTiles);
+  const pixelIndexes = new Uint32Array(pixels.length);
+  for (let pixelIndex = 0; pixelIndex < pixels.length; ++pixelIndex) {
+    pixelIndexes[next[pixels[pixelIndex]]++] = pixelIndex;
+  }
+  return [offsets, pixelIndexes];
+}
+
+// A histogram of each channel's values, reused from cell to cell
+const channelHistogram = new Uint32Array(3 * 256);
+
+/** Returns the median of each channel of the image over the given pixels. */
+function getMedian(pixelIndexes, imgPixelData) {
+  channelHistogram.fill(0);
+  for (const pixelIndex of pixelIndexes) {
+    const red = pixelIndex << 2;
+    ++channelHistogram[imgPixelData[red]];
+    ++channelHistogram[256 + imgPixelData[red + 1]];
+    ++channelHistogram[512 + imgPixelData[red + 2]];
+  }
+  // the lower median, for an even number of pixels
+  const middle = (pixelIndexes.length - 1) >> 1;
+  return [0, 1, 2].map(channel => {
+    let count = 0;
+    let value = 0;
+    while ((count += channelHistogram[256 * channel + value]) <= middle) {
+      ++value;
+    }
+    return value;
+  });
+}
+
+// A histogram of coarse colors, reused from cell to cell
+const colorHistogram = new Uint32Array(1 << (3 * DOMINANT_BITS));
+
+/** Returns the bin of colorHistogram for the pixel at the given index. */
+function getColorBin(imgPixelData, pixelIndex) {
+  const red = pixelIndex << 2;
+  const shift = 8 - DOMINANT_BITS;
+  return (imgPixelData[red] >> shift) << (2 * DOMINANT_BITS) |
+      (imgPixelData[red + 1] >> shift) << DOMINANT_BITS |
+      imgPixelData[red + 2] >> shift;
+}
+
+/**
+ * Returns the average color of the image's pixels in the most common bin of a
+ * coarse histogram of the given pixels.
+ */
+function getDominant(pixelIndexes, imgPixelData) {
+  let dominantBin = 0;
+  for (const pixelIndex of pixelIndexes) {
+    const bin = getColorBin(imgPixelData, pixelIndex);
+    if (++colorHistogram[bin] > colorHistogram[dominantBin]) {
+      dominantBin = bin;
+    }
+  }
+  const sum = [0, 0, 0];
+  let count = 0;
+  for (const pixelIndex of pixelIndexes) {
+    const bin = getColorBin(imgPixelData, pixelIndex);
+    if (bin === dominantBin) {
+      const red = pixelIndex << 2;
+      ++count;
+      sum[0] += imgPixelData[red];
+      sum[1] += imgPixelData[red + 1];
+      sum[2] += imgPixelData[red + 2];
+    }
+    // clear the histogram for the next cell
+    colorHistogram[bin] = 0;
+  }
+  return sum.map(total => total / count);
+}
+
+/**
+ * Returns how closely a rendered mosaic's RGBA `data` approximates the RGBA
+ * `imgPixelData` of the image, at the same size: the mean color difference
+ * per pixel (`deltaE`, the CIE76 distance in CIELAB, where about 2.3 is just
+ * noticeable), and the peak signal-to-noise ratio of the sRGB values in
+ * decibels (`psnr`, where higher is closer, and which is Infinity if the
+ * mosaic matches the image exactly).
+ */
+export function measureMosaicError(data, imgPixelData) {
+  console.time('measureMosaicError');
+  const getLab = createLabCache();
+  const getImgLab = createLabCache();
+  let totalDeltaE = 0;
+  let totalSquaredError = 0;
+  for (let red = 0; red < data.length; red += 4) {
+    const lab = getLab(data, red);
+    const imgLab = getImgLab(imgPixelData, red);
+    totalDeltaE += Math.hypot(
+        lab[0] - imgLab[0], lab[1] - imgLab[1], lab[2] - imgLab[2]);
+    for (let channel = red; channel < red + 3; ++channel) {
+      totalSquaredError += (data[channel] - imgPixelData[channel]) ** 2;
+    }
+  }
+  const numPixels = data.length >> 2;
+  const meanSquaredError = totalSquaredError / (3 * numPixels);
+  console.timeEnd('measureMosaicError');
+  return {
+    deltaE: totalDeltaE / numPixels,
+    psnr: meanSquaredError === 0 ?
+        Infinity :
+        10 * Math.log10(255 * 255 / meanSquaredError),
+  };
+}
+
+/**
+ * Returns how far each tile's color is from the image under its cell, as the
+ * sum of the CIE76 ΔE over its pixels (`errors`), along with the pixelIndex of
+ * the pixel that's furthest off, other than the capital's (`worstPixels`, or
+ * -1 if there's none). `meanError` is the mean ΔE per pixel.
+ */
+export function measureTileErrors({tiles, canvas, pixels}, imgPixelData) {
+  const tileLabs = tiles.map(tile => toLab(tile.color));
+  const errors = new Float64Array(tiles.length);
+  const worstPixels = new Int32Array(tiles.length).fill(-1);
+  const worstErrors = new Float64Array(tiles.length).fill(-1);
+  const getImgLab = createLabCache();
+  let totalError = 0;
+  for (let pixelIndex = 0; pixelIndex < pixels.length; ++pixelIndex) {
+    const tileIndex = pixels[pixelIndex];
+    const tile = tiles[tileIndex];
+    const tileLab = tileLabs[tileIndex];
+    const imgLab = getImgLab(imgPixelData, pixelIndex << 2);
+    const error = Math.hypot(
+        tileLab[0] - imgLab[0], tileLab[1] - imgLab[1], tileLab[2] - imgLab[2]);
+    errors[tileIndex] += error;
+    totalError += error;
+    if (error > worstErrors[tileIndex] &&
+        pixelIndex !== tile.x + canvas.width * tile.y) {
+      worstErrors[tileIndex] = error;
+      worstPixels[tileIndex] = pixelIndex;
+    }
+  }
+  return {errors, worstPixels, meanError: totalError / pixels.length};
+}
+
+/**
+ * Returns a function that converts the color at index `red` of RGBA data to
+ * CIELAB. Neighboring pixels tend to have the same color, so it remembers the
+ * last one.
+ */
+function createLabCache() {
+  let lastRgb = -1;
+  let lastLab;
+  return (data, red) => {
+    const rgb = data[red] << 16 | data[red + 1] << 8 | data[red + 2];
+    if (rgb !== lastRgb) {
+      lastRgb = rgb;
+      lastLab = toLab([data[red], data[red + 1], data[red + 2]]);
+    }
+    return lastLab;
+  };
+}
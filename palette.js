@@ -0,0 +1,449 @@
+import {linearToSrgb, rand, SRGB_TO_LINEAR} from './util.js';
+
+/**
+ * Color palettes for tiles. A palette is an array of [r, g, b] colors, and is
+ * named by a spec: 'random' (no palette, i.e. random RGB colors), the name of
+ * a built-in palette, or a list of hex codes such as '264653-2a9d8f-e9c46a'
+ * (see parsePalette).
+ */
+
+/** Returns a monochrome ramp from a dark shade of `hex` to a light tint. */
+function ramp(hex, steps = 8) {
+  const [r, g, b] = parseHexCode(hex);
+  return Array.from({length: steps}, (_, i) => {
+    // mix with black at the dark end and with white at the light end
+    const t = 0.15 + 0.7 * i / (steps - 1);
+    return t < 0.5 ?
+        [r * 2 * t, g * 2 * t, b * 2 * t].map(Math.round) :
+        [r, g, b].map(c => Math.round(c + (255 - c) * (2 * t - 1)));
+  });
+}
+
+const PALETTES = {
+  pastel: [
+    'fbb4ae', 'b3cde3', 'ccebc5', 'decbe4', 'fed9a6', 'ffffcc', 'e5d8bd',
+    'fddaec',
+  ].map(parseHexCode),
+  earth: [
+    '3f4f2a', '5b3a29', '6b7f3a', '8c5a3c', '8a9a5b', 'a67c52', 'c9a66b',
+    'd8c99b',
+  ].map(parseHexCode),
+  viridis: [
+    '440154', '482878', '3e4989', '31688e', '26828e', '1f9e89', '35b779',
+    '6ece58', 'b5de2b', 'fde725',
+  ].map(parseHexCode),
+  grays: ramp('808080'),
+  blues: ramp('2c6fbb'),
+  greens: ramp('2e8b57'),
+  reds: ramp('c0392b'),
+  purples: ramp('7b4fa0'),
+};
+
+/** Names of the built-in palettes. */
+export const PALETTE_NAMES = Object.keys(PALETTES);
+
+/**
+ * Ways of picking a tile's color from a palette: at random; along a gradient
+ * from the top left of the canvas to the bottom right, according to the
+ * position of the tile's capital; like a map, with as few colors as possible
+ * but none shared by neighboring tiles; or with the most contrast between
+ * neighboring tiles.
+ */
+export const COLORINGS = ['random', 'gradient', 'map', 'contrast'];
+
+/** Returns whether the coloring depends on which tiles neighbor each other. */
+export function usesNeighbors(coloring) {
+  return coloring === 'map' || coloring === 'contrast';
+}
+
+/**
+ * Returns the palette named by the given spec, or null for random colors (or
+ * an invalid spec).
+ */
+export function getPalette(spec = 'random') {
+  if (spec === 'random') {
+    return null;
+  }
+  if (spec in PALETTES) {
+    return PALETTES[spec];
+  }
+  try {
+    return parsePalette(spec);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Parses a list of hex color codes, like '#264653, #2a9d8f' or
+ * '264653-2a9d8f'. Any characters other than '#' and hex digits separate the
+ * codes, which may have 3 or 6 digits. Throws if a code is invalid or there
+ * are none.
+ */
+export function parsePalette(text) {
+  const codes = text.split(/[^#0-9a-f]+/i).filter(code => code);
+  if (codes.length === 0) {
+    throw new Error('No colors in palette');
+  }
+  return codes.map(code => {
+    const hex = code.replace(/^#/, '');
+    if (!/^([0-9a-f]{3}){1,2}$/i.test(hex)) {
+      throw new Error(`Invalid color: ${code}`);
+    }
+    return parseHexCode(hex);
+  });
+}
+
+/** Formats a palette as a spec (see parsePalette) that fits in a URL. */
+export function formatPalette(palette) {
+  return palette
+      .map(color => color.map(c => c.toString(16).padStart(2, '0')).join(''))
+      .join('-');
+}
+
+/** Parses a 3 or 6 digit hex code without the '#' into [r, g, b]. */
+function parseHexCode(hex) {
+  if (hex.length === 3) {
+    hex = hex.replace(/./g, '$&$&');
+  }
+  const value = parseInt(hex, 16);
+  return [(value >> 16) & 0xff, (value >> 8) & 0xff, value & 0xff];
+}
+
+/** Returns a random [r, g, b] color. */
+export function randomColor(random = Math.random) {
+  return [rand(256, random), rand(256, random), rand(256, random)];
+}
+
+/**
+ * Picks a color for a tile whose capital is at (x, y) on a `width` x `height`
+ * canvas, according to `coloring` (see COLORINGS). Without a palette, the
+ * color is random.
+ */
+export function pickColor(
+    palette, x, y, random = Math.random,
+    {coloring = 'random', width, height} = {}) {
+  if (!palette) {
+    return randomColor(random);
+  }
+  if (coloring !== 'gradient') {
+    return palette[rand(palette.length, random)];
+  }
+  // the gradient runs along the diagonal
+  return getPaletteColor(
+      palette, ((x + 0.5) / width + (y + 0.5) / height) / 2);
+}
+
+/**
+ * Returns the color at `t` in [0, 1] along a gradient through the palette's
+ * colors, interpolating between the two nearest ones.
+ */
+export function getPaletteColor(palette, t) {
+  if (palette.length === 1) {
+    return palette[0];
+  }
+  const position = Math.min(Math.max(t, 0), 1) * (palette.length - 1);
+  const i = Math.min(Math.floor(position), palette.length - 2);
+  const fraction = position - i;
+  return palette[i].map(
+      (c, channel) => Math.round(c + (palette[i + 1][channel] - c) * fraction));
+}
+
+/**
+ * Picks a color for each tile given its `neighbors` (see findNeighbors), for a
+ * `coloring` that uses them (see usesNeighbors). Returns the colors in tile
+ * order.
+ */
+export function pickNeighborColors(palette, neighbors, random, coloring) {
+  return coloring === 'map' ?
+      pickMapColors(palette, neighbors, random) :
+      pickContrastingColors(palette, neighbors, random);
+}
+
+/**
+ * Colors the tiles like a map, greedily giving each tile the first color that
+ * none of its neighbors has, starting with the tiles whose neighbors have the
+ * most different colors (DSatur). Without a palette, the colors are evenly
+ * spaced hues. If the palette runs out of colors, a tile gets the color that
+ * the fewest of its neighbors have.
+ */
+function pickMapColors(palette, neighbors, random) {
+  const maxColors = palette ? palette.length : Infinity;
+  const classes = new Int32Array(neighbors.length).fill(-1);
+  let numClasses = 0;
+  const countNbrClasses = (tileIndex) => {
+    const nbrClasses = new Set();
+    for (const nbrIndex of neighbors[tileIndex]) {
+      nbrClasses.add(classes[nbrIndex]);
+    }
+    nbrClasses.delete(-1);
+    return nbrClasses.size;
+  };
+  visitMostConstrainedFirst(neighbors, random, countNbrClasses, tileIndex => {
+    const nbrCounts = [];
+    for (const nbrIndex of neighbors[tileIndex]) {
+      const nbrClass = classes[nbrIndex];
+      if (nbrClass !== -1) {
+        nbrCounts[nbrClass] = (nbrCounts[nbrClass] || 0) + 1;
+      }
+    }
+    let best = 0;
+    while (best < maxColors && nbrCounts[best]) {
+      ++best;
+    }
+    if (best === maxColors) {
+      // every color is taken, so share the one that the fewest neighbors have
+      best = nbrCounts.indexOf(Math.min(...nbrCounts));
+    }
+    classes[tileIndex] = best;
+    numClasses = Math.max(numClasses, best + 1);
+  });
+  const colors = palette ?
+      shuffle(palette.slice(), random) :
+      getEvenlySpacedHues(numClasses, random);
+  return Array.from(classes, c => colors[c]);
+}
+
+/**
+ * Colors the tiles so that each one's color differs as much as possible (in
+ * CIELAB space) from the colors of its neighbors that already have one. The
+ * candidates are the palette's colors or, without a palette, a handful of
+ * random colors per tile.
+ */
+function pickContrastingColors(palette, neighbors, random) {
+  const colors = new Array(neighbors.length);
+  const labs = new Array(neighbors.length);
+  const paletteLabs = palette && palette.map(toLab);
+  const countColoredNbrs = (tileIndex) => {
+    let count = 0;
+    for (const nbrIndex of neighbors[tileIndex]) {
+      count += labs[nbrIndex] ? 1 : 0;
+    }
+    return count;
+  };
+  visitMostConstrainedFirst(neighbors, random, countColoredNbrs, tileIndex => {
+    const candidates =
+        palette || Array.from({length: 24}, () => randomColor(random));
+    const candidateLabs = paletteLabs || candidates.map(toLab);
+    let best = rand(candidates.length, random);
+    let bestContrast = -1;
+    candidateLabs.forEach((lab, i) => {
+      let contrast = Infinity;
+      for (const nbrIndex of neighbors[tileIndex]) {
+        if (labs[nbrIndex]) {
+          contrast = Math.min(contrast, labDistance(lab, labs[nbrIndex]));
+        }
+      }
+      if (contrast !== Infinity && contrast > bestContrast) {
+        best = i;
+        bestContrast = contrast;
+      }
+    });
+    colors[tileIndex] = candidates[best];
+    labs[tileIndex] = candidateLabs[best];
+  });
+  return colors;
+}
+
+/**
+ * Calls visit(tileIndex) for each tile, choosing next the tile with the
+ * largest getConstraint(tileIndex), breaking ties by the most neighbors and
+ * then at random. Visiting the most constrained tiles first suits greedy
+ * coloring. A tile's constraint may only grow when one of its neighbors is
+ * visited.
+ */
+function visitMostConstrainedFirst(neighbors, random, getConstraint, visit) {
+  const visited = new Uint8Array(neighbors.length);
+  // a max-heap of [constraint, degree, tiebreaker, tileIndex], which may hold
+  // stale entries for tiles whose constraint has since grown
+  const heap = [];
+  const isAbove = (a, b) => a[0] !== b[0] ? a[0] > b[0] :
+      a[1] !== b[1] ? a[1] > b[1] : a[2] > b[2];
+  const push = (entry) => {
+    let i = heap.push(entry) - 1;
+    while (i > 0 && isAbove(heap[i], heap[(i - 1) >> 1])) {
+      [heap[i], heap[(i - 1) >> 1]] = [heap[(i - 1) >> 1], heap[i]];
+      i = (i - 1) >> 1;
+    }
+  };
+  const pop = () => {
+    const top = heap[0];
+    const last = heap.pop();
+    if (heap.length > 0) {
+      heap[0] = last;
+      let i = 0;
+      while (true) {
+        let largest = i;
+        for (const child of [2 * i + 1, 2 * i + 2]) {
+          if (child < heap.length && isAbove(heap[child], heap[largest])) {
+            largest = child;
+          }
+        }
+        if (largest === i) {
+          break;
+        }
+        [heap[i], heap[largest]] = [heap[largest], heap[i]];
+        i = largest;
+      }
+    }
+    return top;
+  };
+  neighbors.forEach((nbrs, tileIndex) => {
+    push([0, nbrs.size, random(), tileIndex]);
+  });
+  while (heap.length > 0) {
+    const [constraint, , , tileIndex] = pop();
+    if (visited[tileIndex] || constraint !== getConstraint(tileIndex)) {
+      continue;
+    }
+    visited[tileIndex] = 1;
+    visit(tileIndex);
+    for (const nbrIndex of neighbors[tileIndex]) {
+      if (!visited[nbrIndex]) {
+        push([getConstraint(nbrIndex), neighbors[nbrIndex].size, random(),
+              nbrIndex]);
+      }
+    }
+  }
+}
+
+/** Shuffles an array in place (Fisher-Yates) and returns it. */
+function shuffle(array, random) {
+  for (let i = array.length - 1; i > 0; --i) {
+    const j = rand(i + 1, random);
+    [array[i], array[j]] = [array[j], array[i]];
+  }
+  return array;
+}
+
+/**
+ * Returns `numColors` colors with evenly spaced hues, starting from a random
+ * one, and with the same moderate saturation and lightness.
+ */
+function getEvenlySpacedHues(numColors, random) {
+  const startHue = random();
+  return Array.from({length: numColors}, (_, i) => {
+    const hue = (startHue + i / numColors) % 1;
+    // HSL -> RGB with saturation 0.6 and lightness 0.6
+    return [0, 8, 4].map(n => {
+      const k = (n + 12 * hue) % 12;
+      const value = 0.6 - 0.24 * Math.max(-1, Math.min(k - 3, 9 - k, 1));
+      return Math.round(255 * value);
+    });
+  });
+}
+
+/** Converts an sRGB [r, g, b] color to CIELAB [L, a, b] (D65 white). */
+export function toLab([r, g, b]) {
+  const lr = SRGB_TO_LINEAR[Math.round(r)];
+  const lg = SRGB_TO_LINEAR[Math.round(g)];
+  const lb = SRGB_TO_LINEAR[Math.round(b)];
+  const x = (0.4124 * lr + 0.3576 * lg + 0.1805 * lb) / 0.95047;
+  const y = 0.2126 * lr + 0.7152 * lg + 0.0722 * lb;
+  const z = (0.0193 * lr + 0.1192 * lg + 0.9505 * lb) / 1.08883;
+  const f = (t) => t > 216 / 24389 ? Math.cbrt(t) : (24389 / 27 * t + 16) / 116;
+  return [116 * f(y) - 16, 500 * (f(x) - f(y)), 200 * (f(y) - f(z))];
+}
+
+/**
+ * Converts a CIELAB [L, a, b] color back to sRGB [r, g, b] (see toLab). Colors
+ * outside the sRGB gamut come out of range, so store them in a
+ * Uint8ClampedArray.
+ */
+export function fromLab([l, a, b]) {
+  const fy = (l + 16) / 116;
+  const fInverse = (t) => t > 6 / 29 ? t * t * t : (116 * t - 16) * 27 / 24389;
+  const x = fInverse(fy + a / 500) * 0.95047;
+  const y = fInverse(fy);
+  const z = fInverse(fy - b / 200) * 1.08883;
+  return [
+    linearToSrgb(3.2406 * x - 1.5372 * y - 0.4986 * z),
+    linearToSrgb(-0.9689 * x + 1.8758 * y + 0.0415 * z),
+    linearToSrgb(0.0557 * x - 0.2040 * y + 1.0570 * z),
+  ];
+}
+
+/** Returns the Euclidean distance between two CIELAB colors (CIE76). */
+function labDistance(lab1, lab2) {
+  return Math.hypot(lab1[0] - lab2[0], lab1[1] - lab2[1], lab1[2] - lab2[2]);
+}
+
+/**
+ * Extracts a palette of up to `numColors` colors from an image's RGBA
+ * `imgPixelData` by k-means clustering, seeded with k-means++. The colors are
+ * sorted from dark to light, so that they make a sensible gradient.
+ */
+export function extractPalette(
+    imgPixelData, numColors = 8, random = Math.random) {
+  // cluster a sample of the pixels, which is plenty to find the main colors
+  const numPixels = imgPixelData.length >> 2;
+  const stride = Math.max(1, Math.floor(numPixels / 10_000));
+  const samples = [];
+  for (let pixelIndex = 0; pixelIndex < numPixels; pixelIndex += stride) {
+    const red = pixelIndex << 2;
+    samples.push(imgPixelData.subarray(red, red + 3));
+  }
+  const squaredDistance = (a, b) => (a[0] - b[0]) * (a[0] - b[0]) +
+      (a[1] - b[1]) * (a[1] - b[1]) + (a[2] - b[2]) * (a[2] - b[2]);
+
+  // k-means++: pick each center with probability proportional to the squared
+  // distance to the nearest center so far
+  const centers = [Array.from(samples[rand(samples.length, random)])];
+  const nearest = samples.map(sample => squaredDistance(sample, centers[0]));
+  while (centers.length < Math.min(numColors, samples.length)) {
+    const total = nearest.reduce((sum, d) => sum + d, 0);
+    if (total === 0) {
+      // fewer distinct colors than numColors
+      break;
+    }
+    let target = random() * total;
+    let i = 0;
+    while (i < samples.length - 1 && (target -= nearest[i]) > 0) {
+      ++i;
+    }
+    const center = Array.from(samples[i]);
+    centers.push(center);
+    samples.forEach((sample, j) => {
+      nearest[j] = Math.min(nearest[j], squaredDistance(sample, center));
+    });
+  }
+
+  // Lloyd's algorithm, until the clusters settle
+  const assignments = new Int32Array(samples.length).fill(-1);
+  for (let iteration = 0; iteration < 20; ++iteration) {
+    let changed = false;
+    samples.forEach((sample, j) => {
+      let best = 0;
+      for (let k = 1; k < centers.length; ++k) {
+        if (squaredDistance(sample, centers[k]) <
+            squaredDistance(sample, centers[best])) {
+          best = k;
+        }
+      }
+      if (assignments[j] !== best) {
+        assignments[j] = best;
+        changed = true;
+      }
+    });
+    if (!changed) {
+      break;
+    }
+    const sums = centers.map(() => [0, 0, 0, 0]);
+    samples.forEach((sample, j) => {
+      const sum = sums[assignments[j]];
+      sum[0] += sample[0];
+      sum[1] += sample[1];
+      sum[2] += sample[2];
+      sum[3] += 1;
+    });
+    sums.forEach((sum, k) => {
+      if (sum[3] > 0) {
+        centers[k] = [sum[0] / sum[3], sum[1] / sum[3], sum[2] / sum[3]];
+      }
+    });
+  }
+
+  const luminance = ([r, g, b]) => 0.2126 * r + 0.7152 * g + 0.0722 * b;
+  return centers.map(center => center.map(Math.round))
+      .sort((a, b) => luminance(a) - luminance(b));
+}
@@ -0,0 +1,346 @@
+import {rand} from './util.js';
+
+/**
+ * Strategies for placing tile capitals. Each one returns `numTiles` distinct
+ * pixelIndexes on a `width` x `height` canvas, using `random` (see
+ * createRandom) as its only source of randomness.
+ */
+const DISTRIBUTIONS = {
+  uniform: placeUniform,
+  poisson: placePoissonDisk,
+  grid: placeJitteredGrid,
+  hexagonal: placeHexagonal,
+  clusters: placeClusters,
+  luminance: (numTiles, width, height, random, imgPixelData) => placeWeighted(
+      numTiles, width, height, random, getLuminanceWeights(imgPixelData)),
+  edges: (numTiles, width, height, random, imgPixelData) => placeWeighted(
+      numTiles, width, height, random,
+      getEdgeWeights(imgPixelData, width, height)),
+};
+
+/** Names of the available distributions. */
+export const DISTRIBUTION_NAMES = Object.keys(DISTRIBUTIONS);
+
+/** Returns whether the distribution is weighted by image data. */
+export function usesImage(distribution) {
+  return distribution === 'luminance' || distribution === 'edges';
+}
+
+/**
+ * Places `numTiles` capitals according to the named distribution. The
+ * image-weighted distributions need the image's RGBA `imgPixelData` (see
+ * loadImagePixelData) and fall back to uniform placement without it.
+ */
+export function placeCapitals(
+    distribution, numTiles, width, height, random, imgPixelData) {
+  if (!(distribution in DISTRIBUTIONS) ||
+      (usesImage(distribution) && !imgPixelData)) {
+    distribution = 'uniform';
+  }
+  return DISTRIBUTIONS[distribution](
+      numTiles, width, height, random, imgPixelData);
+}
+
+/** Sources of tile weights (see assignWeights). */
+export const WEIGHT_SOURCES = ['random', 'brightness'];
+
+/**
+ * Sets the `weight` of each tile to a number in [0, 1], either at random or
+ * from the brightness of the image at its capital. The latter needs the
+ * image's RGBA `imgPixelData` and falls back to random weights without it.
+ */
+export function assignWeights(tiles, source, width, random, imgPixelData) {
+  if (source === 'brightness' && imgPixelData) {
+    for (const tile of tiles) {
+      tile.weight = getLuminance(imgPixelData, tile.x + width * tile.y);
+    }
+  } else {
+    for (const tile of tiles) {
+      tile.weight = random();
+    }
+  }
+}
+
+/**
+ * Adds randomly placed capitals to `capitals` (a Set of pixelIndexes) until it
+ * has `numTiles` of them. Returns them as an array.
+ */
+function fillUniformly(capitals, numTiles, width, height, random) {
+  while (capitals.size < numTiles) {
+    capitals.add(rand(width, random) + width * rand(height, random));
+  }
+  return [...capitals];
+}
+
+/** Places capitals uniformly at random. */
+function placeUniform(numTiles, width, height, random) {
+  return fillUniformly(new Set(), numTiles, width, height, random);
+}
+
+/** Returns a random subset of size n of the given array (Fisher-Yates). */
+function sample(array, n, random) {
+  for (let i = 0; i < n && i < array.length - 1; ++i) {
+    const j = i + rand(array.length - i, random);
+    [array[i], array[j]] = [array[j], array[i]];
+  }
+  return array.slice(0, n);
+}
+
+/** Converts a list of [x, y] points to a Set of distinct pixelIndexes. */
+function toPixelIndexes(points, width, height) {
+  const capitals = new Set();
+  for (const [x, y] of points) {
+    const px = Math.round(x);
+    const py = Math.round(y);
+    if (px >= 0 && px < width && py >= 0 && py < height) {
+      capitals.add(px + width * py);
+    }
+  }
+  return capitals;
+}
+
+/**
+ * Places capitals as blue noise: no two capitals are closer than some radius.
+ * Uses Bridson's algorithm, shrinking the radius until there are enough
+ * points, then keeps a random subset.
+ */
+function placePoissonDisk(numTiles, width, height, random) {
+  // a maximal Poisson disk sample has roughly 0.7 / r^2 points per unit area
+  let radius = Math.sqrt(0.7 * width * height / numTiles);
+  let capitals;
+  do {
+    capitals = [...toPixelIndexes(
+        bridson(width, height, radius, random), width, height)];
+    radius *= 0.9;
+  } while (capitals.length < numTiles && radius >= 1);
+  return fillUniformly(
+      new Set(sample(capitals, numTiles, random)), numTiles, width, height,
+      random);
+}
+
+/**
+ * Generates a Poisson disk sample with minimum distance `radius` (see Bridson,
+ * "Fast Poisson Disk Sampling in Arbitrary Dimensions").
+ */
+function bridson(width, height, radius, random) {
+  const maxTries = 30;
+  const cellSize = radius / Math.SQRT2;
+  const cols = Math.ceil(width / cellSize);
+  const rows = Math.ceil(height / cellSize);
+  // index of the point in each grid cell, or -1
+  const grid = new Int32Array(cols * rows).fill(-1);
+  const points = [];
+  const active = [];
+
+  const addPoint = (x, y) => {
+    grid[Math.floor(x / cellSize) + cols * Math.floor(y / cellSize)] =
+        points.length;
+    active.push(points.length);
+    points.push([x, y]);
+  };
+  const isFarEnough = (x, y) => {
+    const col = Math.floor(x / cellSize);
+    const row = Math.floor(y / cellSize);
+    for (let r = Math.max(0, row - 2); r <= Math.min(rows - 1, row + 2); ++r) {
+      for (let c = Math.max(0, col - 2); c <= Math.min(cols - 1, col + 2);
+           ++c) {
+        const pointIndex = grid[c + cols * r];
+        if (pointIndex !== -1) {
+          const [px, py] = points[pointIndex];
+          if ((px - x) ** 2 + (py - y) ** 2 < radius * radius) {
+            return false;
+          }
+        }
+      }
+    }
+    return true;
+  };
+
+  addPoint(random() * width, random() * height);
+  while (active.length > 0) {
+    const activeIndex = rand(active.length, random);
+    const [x, y] = points[active[activeIndex]];
+    let found = false;
+    for (let i = 0; i < maxTries; ++i) {
+      // try a random point in the annulus [radius, 2 * radius] around (x, y)
+      const angle = random() * 2 * Math.PI;
+      const distance = radius * (1 + random());
+      const candidateX = x + distance * Math.cos(angle);
+      const candidateY = y + distance * Math.sin(angle);
+      if (candidateX >= 0 && candidateX < width && candidateY >= 0 &&
+          candidateY < height && isFarEnough(candidateX, candidateY)) {
+        addPoint(candidateX, candidateY);
+        found = true;
+        break;
+      }
+    }
+    if (!found) {
+      // swap-remove this point from the active list
+      active[activeIndex] = active[active.length - 1];
+      active.pop();
+    }
+  }
+  return points;
+}
+
+/**
+ * Divides the canvas into a grid of roughly square cells and places a capital
+ * at a random location in each of `numTiles` randomly chosen cells.
+ */
+function placeJitteredGrid(numTiles, width, height, random) {
+  const cols = Math.max(1, Math.round(Math.sqrt(numTiles * width / height)));
+  const rows = Math.ceil(numTiles / cols);
+  const cellWidth = width / cols;
+  const cellHeight = height / rows;
+  const points = [];
+  for (let row = 0; row < rows; ++row) {
+    for (let col = 0; col < cols; ++col) {
+      points.push([
+        Math.floor((col + random()) * cellWidth),
+        Math.floor((row + random()) * cellHeight),
+      ]);
+    }
+  }
+  const capitals =
+      toPixelIndexes(sample(points, numTiles, random), width, height);
+  return fillUniformly(capitals, numTiles, width, height, random);
+}
+
+/**
+ * Places capitals on a hexagonal lattice with a random offset, so that the
+ * tiles are regular hexagons (for the Euclidean metric). If the lattice
+ * doesn't fit exactly, the extra points are dropped at random and any missing
+ * ones are placed uniformly.
+ */
+function placeHexagonal(numTiles, width, height, random) {
+  const offsetX = random();
+  const offsetY = random();
+  const lattice = (spacing) => {
+    const rowHeight = spacing * Math.sqrt(3) / 2;
+    const points = [];
+    for (let row = 0; (row + offsetY) * rowHeight < height; ++row) {
+      const shift = row % 2 === 0 ? 0 : spacing / 2;
+      for (let col = 0; (col + offsetX) * spacing + shift < width; ++col) {
+        points.push(
+            [(col + offsetX) * spacing + shift, (row + offsetY) * rowHeight]);
+      }
+    }
+    return points;
+  };
+  // each lattice point covers (sqrt(3) / 2) * spacing^2 pixels
+  let spacing = Math.sqrt(2 * width * height / (Math.sqrt(3) * numTiles));
+  let points = lattice(spacing);
+  // refine, since the edges of the canvas make the count inexact
+  for (let i = 0; i < 3 && points.length !== numTiles; ++i) {
+    spacing *= Math.sqrt(points.length / numTiles);
+    points = lattice(spacing);
+  }
+  const capitals =
+      toPixelIndexes(sample(points, numTiles, random), width, height);
+  return fillUniformly(capitals, numTiles, width, height, random);
+}
+
+/** Places capitals in Gaussian clusters around randomly placed centers. */
+function placeClusters(numTiles, width, height, random) {
+  const numClusters = Math.max(1, Math.round(Math.sqrt(numTiles) / 2));
+  const sigma = Math.sqrt(width * height / numClusters) / 4;
+  const centers = Array.from(
+      {length: numClusters}, () => [random() * width, random() * height]);
+  const capitals = new Set();
+  // give up on clusters eventually, e.g. if they're too small for numTiles
+  for (let tries = 0; capitals.size < numTiles && tries < 10 * numTiles;
+       ++tries) {
+    const [centerX, centerY] = centers[rand(numClusters, random)];
+    // Box-Muller transform
+    const r = sigma * Math.sqrt(-2 * Math.log(1 - random()));
+    const angle = 2 * Math.PI * random();
+    const x = Math.round(centerX + r * Math.cos(angle));
+    const y = Math.round(centerY + r * Math.sin(angle));
+    if (x >= 0 && x < width && y >= 0 && y < height) {
+      capitals.add(x + width * y);
+    }
+  }
+  return fillUniformly(capitals, numTiles, width, height, random);
+}
+
+/**
+ * Places capitals at random, with the probability of each pixel proportional
+ * to its weight.
+ */
+function placeWeighted(numTiles, width, height, random, weights) {
+  // cumulative distribution over pixels
+  const cdf = new Float64Array(weights.length);
+  let total = 0;
+  for (let i = 0; i < weights.length; ++i) {
+    total += weights[i];
+    cdf[i] = total;
+  }
+  const capitals = new Set();
+  for (let tries = 0; capitals.size < numTiles && tries < 10 * numTiles;
+       ++tries) {
+    // binary search for the first pixel whose cumulative weight exceeds target
+    const target = random() * total;
+    let lo = 0;
+    let hi = cdf.length - 1;
+    while (lo < hi) {
+      const mid = (lo + hi) >> 1;
+      if (cdf[mid] <= target) {
+        lo = mid + 1;
+      } else {
+        hi = mid;
+      }
+    }
+    capitals.add(lo);
+  }
+  return fillUniformly(capitals, numTiles, width, height, random);
+}
+
+/** Returns the luminance of the given pixel in [0, 1]. */
+function getLuminance(imgPixelData, pixelIndex) {
+  const red = pixelIndex << 2;
+  return (0.2126 * imgPixelData[red] + 0.7152 * imgPixelData[red + 1] +
+          0.0722 * imgPixelData[red + 2]) /
+      255;
+}
+
+/**
+ * Returns the luminance of each pixel in [0, 1]. Brighter areas get more
+ * tiles; a small floor keeps black areas from being empty.
+ */
+function getLuminanceWeights(imgPixelData) {
+  const weights = new Float32Array(imgPixelData.length >> 2);
+  for (let i = 0; i < weights.length; ++i) {
+    weights[i] = 0.02 + getLuminance(imgPixelData, i);
+  }
+  return weights;
+}
+
+/**
+ * Returns the gradient magnitude of the luminance at each pixel (Sobel
+ * operator), so that detailed areas get more tiles. Flat areas get a small
+ * floor weight.
+ */
+function getEdgeWeights(imgPixelData, width, height) {
+  const luminance = getLuminanceWeights(imgPixelData);
+  const weights = new Float32Array(luminance.length);
+  let total = 0;
+  const at = (x, y) => luminance[
+      Math.min(Math.max(x, 0), width - 1) +
+      width * Math.min(Math.max(y, 0), height - 1)];
+  for (let y = 0; y < height; ++y) {
+    for (let x = 0; x < width; ++x) {
+      const gx = at(x + 1, y - 1) + 2 * at(x + 1, y) + at(x + 1, y + 1) -
+          at(x - 1, y - 1) - 2 * at(x - 1, y) - at(x - 1, y + 1);
+      const gy = at(x - 1, y + 1) + 2 * at(x, y + 1) + at(x + 1, y + 1) -
+          at(x - 1, y - 1) - 2 * at(x, y - 1) - at(x + 1, y - 1);
+      const magnitude = Math.sqrt(gx * gx + gy * gy);
+      weights[x + width * y] = magnitude;
+      total += magnitude;
+    }
+  }
+  const floor = 0.05 * total / weights.length;
+  for (let i = 0; i < weights.length; ++i) {
+    weights[i] += floor;
+  }
+  return weights;
+}
@@ -0,0 +1,361 @@
+import {createCanvas} from './canvas.js';
+import {findNeighbors} from './graph.js';
+import {usesNeighbors} from './palette.js';
+import {createRandom, randomSeed} from './util.js';
+import {
+  drawOverlays,
+  randomizeDiagramColors,
+  relaxTiles,
+} from './voronoi.js';
+
+/**
+ * Main-thread counterpart to worker.js. Exposes the same drawing functions as
+ * voronoi.js, but does the heavy lifting in a Web Worker so that the page stays
+ * responsive. Renders can be cancelled with cancelRender, in which case the
+ * pending promise rejects with an AbortError.
+ */
+
+const worker =
+    new Worker(new URL('./worker.js', import.meta.url), {type: 'module'});
+
+// request id -> {resolve, reject, onMessage}
+const pendingRequests = new Map();
+let nextRequestId = 0;
+
+worker.addEventListener('message', ({data: message}) => {
+  const request = pendingRequests.get(message.id);
+  if (!request) {
+    return;
+  }
+  switch (message.type) {
+    case 'progress':
+    case 'preview':
+      request.onMessage(message);
+      break;
+    case 'done':
+      pendingRequests.delete(message.id);
+      request.resolve(message);
+      break;
+    case 'cancelled':
+      pendingRequests.delete(message.id);
+      request.reject(Object.assign(
+          new DOMException('Render cancelled', 'AbortError'),
+          {pixels: message.pixels}));
+      break;
+    case 'error':
+      pendingRequests.delete(message.id);
+      request.reject(Object.assign(message.error, {pixels: message.pixels}));
+      break;
+  }
+});
+
+/** Sends a request to the worker. Resolves with its 'done' message. */
+function request(message, transfer, onMessage) {
+  const id = nextRequestId++;
+  return new Promise((resolve, reject) => {
+    pendingRequests.set(id, {resolve, reject, onMessage});
+    worker.postMessage({...message, id}, transfer);
+  });
+}
+
+/**
+ * Imports a module that registers custom metrics (see registerMetric in
+ * util.js), both here and in the worker, which have separate registries. The
+ * module must be on this site, since a shared link shouldn't run others' code.
+ */
+export async function importMetrics(moduleUrl) {
+  const url = new URL(moduleUrl, document.baseURI);
+  if (url.origin !== location.origin) {
+    throw new Error(`Cannot import metrics from another site: ${moduleUrl}`);
+  }
+  await Promise.all(
+      [import(url.href), request({type: 'import', url: url.href}, [])]);
+}
+
+/** Cancels all renders that are in progress. */
+export function cancelRender() {
+  for (const id of pendingRequests.keys()) {
+    worker.postMessage({type: 'cancel', id});
+  }
+}
+
+/** Picks out the render options that need to be sent to the worker. */
+function workerOptions({
+  antialias,
+  antialiasQuality,
+  coloring,
+  distribution,
+  imageBackground,
+  imageFit,
+  imagePanX,
+  imagePanY,
+  imageUrl,
+  imageZoom,
+  metric,
+  mosaicColor,
+  outputWidth,
+  outputHeight,
+  palette,
+  refine,
+  refineError,
+  seamless,
+  shading,
+  subdivisions,
+  subdivisionVariation,
+  weighting,
+  weights,
+  weightScale,
+}) {
+  return {
+    antialias,
+    antialiasQuality,
+    coloring,
+    distribution,
+    imageBackground,
+    imageFit,
+    imagePanX,
+    imagePanY,
+    imageUrl,
+    imageZoom,
+    metric,
+    mosaicColor,
+    outputWidth,
+    outputHeight,
+    palette,
+    refine,
+    refineError,
+    seamless,
+    shading,
+    subdivisions,
+    subdivisionVariation,
+    weighting,
+    weights,
+    weightScale,
+  };
+}
+
+/**
+ * Returns a handler for progress and preview messages concerning the given
+ * canvas.
+ */
+function createMessageHandler(getCanvas, {onProgress}) {
+  return (message) => {
+    if (message.type === 'progress') {
+      if (onProgress) {
+        onProgress(message.stage, message.fraction);
+      }
+    } else {
+      const canvas = getCanvas();
+      canvas.data.set(message.data);
+      canvas.repaint();
+    }
+  };
+}
+
+/** Paints the worker's image onto the canvas and adds the finishing touches. */
+function paint(state, data, options) {
+  state.canvas.data.set(data);
+  state.canvas.repaint();
+  drawOverlays(state, options);
+}
+
+/** Draws a random Voronoi diagram. See voronoi.js. */
+export async function drawRandomVoronoiDiagram(options) {
+  const {
+    colorSeed,
+    container = document.body,
+    levels: givenLevels,
+    numTiles,
+    seed = randomSeed(),
+    tiles: givenTiles,
+    width = window.innerWidth,
+    height = window.innerHeight,
+    outputWidth = width,
+    outputHeight = height,
+  } = options;
+  console.time('drawRandomVoronoiDiagram_' + numTiles);
+  let canvas;
+  const getCanvas = () => {
+    if (!canvas) {
+      canvas = createCanvas(width, height);
+      canvas.attachToDom(container);
+    }
+    return canvas;
+  };
+  const {diagramId, tiles, levels, pixels, weightScale, mosaicError, data} =
+      await request(
+          {
+            type: 'draw',
+            options: {
+              ...workerOptions(options),
+              colorSeed,
+              levels: givenLevels,
+              numTiles,
+              seed,
+              tiles: givenTiles,
+              width,
+              height,
+              outputWidth,
+              outputHeight,
+            },
+          },
+          [], createMessageHandler(getCanvas, options));
+  const state = {
+    id: diagramId,
+    seed,
+    colorSeed,
+    tiles,
+    levels,
+    canvas: getCanvas(),
+    pixels,
+    weightScale,
+    mosaicError,
+  };
+  paint(state, data, options);
+  console.timeEnd('drawRandomVoronoiDiagram_' + numTiles);
+  return state;
+}
+
+/**
+ * Renders the given tiles onto a new canvas that isn't attached to the page,
+ * e.g. to download a diagram at a different resolution than the one displayed.
+ * Capitals are drawn with the given radius, along with any other overlays. The
+ * levels above the tiles of a nested diagram go in `options.levels`. If `tiles`
+ * is null, random tiles are placed instead, from `options.numTiles` and
+ * `options.seed`.
+ */
+export async function renderOffscreen(tiles, width, height, options, radius) {
+  console.time('renderOffscreen');
+  const canvas = createCanvas(width, height, /* reuse= */ false);
+  const result = await request(
+      {
+        type: 'draw',
+        options: {
+          ...workerOptions(options),
+          levels: options.levels,
+          numTiles: options.numTiles,
+          seed: options.seed,
+          tiles,
+          width,
+          height,
+        },
+      },
+      [], createMessageHandler(() => canvas, options));
+  const state = {
+    tiles: result.tiles,
+    levels: result.levels,
+    canvas,
+    pixels: result.pixels,
+  };
+  canvas.data.set(result.data);
+  canvas.repaint();
+  drawOverlays(state, options, radius);
+  console.timeEnd('renderOffscreen');
+  return canvas;
+}
+
+/**
+ * Relaxes the diagram with Lloyd's algorithm: moves each capital to the
+ * centroid of its cell (see relaxTiles in voronoi.js) and re-renders,
+ * `iterations` times. This evens out the tiles, approaching a honeycomb-like
+ * (centroidal) tiling. Only the bottom level of a nested diagram moves. If
+ * `animate`, every iteration is displayed; otherwise only the final one is,
+ * and the intermediate ones skip antialiasing and shading. Resolves with the
+ * new state, which records the total number of iterations as `relaxations`.
+ */
+export async function relax(
+    state, options, {iterations = 1, animate = false} = {}) {
+  console.time('relax');
+  const {canvas} = state;
+  for (let step = 1; step <= iterations; ++step) {
+    const display = animate || step === iterations;
+    const result = await request(
+        {
+          type: 'draw',
+          options: {
+            ...workerOptions(options),
+            antialias: display && options.antialias,
+            shading: display ? options.shading : 'none',
+            levels: state.levels,
+            tiles: relaxTiles(state),
+            weightScale: state.weightScale,
+            width: canvas.width,
+            height: canvas.height,
+          },
+        },
+        [], display ? createMessageHandler(() => canvas, options) : () => {});
+    state = {
+      ...state,
+      id: result.diagramId,
+      tiles: result.tiles,
+      pixels: result.pixels,
+      relaxations: (state.relaxations || 0) + 1,
+      mosaicError: result.mosaicError,
+    };
+    if (display) {
+      paint(state, result.data, options);
+    } else if (options.onProgress) {
+      options.onProgress('relax', step / iterations);
+    }
+  }
+  console.timeEnd('relax');
+  return state;
+}
+
+/**
+ * Reassigns random colors to each tile, picked from `options.palette`, and
+ * then re-renders.
+ */
+export async function recolor(state, options) {
+  console.time('recolor');
+  options.imageUrl = null;
+  state.colorSeed = randomSeed();
+  const {tiles, canvas, pixels} = state;
+  randomizeDiagramColors(state, createRandom(state.colorSeed), {
+    palette: options.palette,
+    coloring: options.coloring,
+    width: canvas.width,
+    height: canvas.height,
+    neighbors: usesNeighbors(options.coloring) ?
+        findNeighbors(tiles.length, pixels, canvas.width, canvas.height) :
+        undefined,
+    variation: options.subdivisionVariation,
+  });
+  await rerender(state, options);
+  console.timeEnd('recolor');
+}
+
+/**
+ * Rerenders given an existing state. The pixels array is lent to the worker for
+ * the duration of the render, so don't read it until this resolves. Clear
+ * `state.id` after editing the tiles so the worker doesn't reuse stale work.
+ */
+export async function rerender(state, options) {
+  const {id, tiles, levels, canvas, pixels, weightScale} = state;
+  let result;
+  try {
+    result = await request(
+        {
+          type: 'rerender',
+          diagramId: id,
+          tiles,
+          levels,
+          pixels,
+          width: canvas.width,
+          height: canvas.height,
+          weightScale,
+          options: workerOptions(options),
+        },
+        [pixels.buffer], createMessageHandler(() => canvas, options));
+  } catch (error) {
+    if (error.pixels) {
+      state.pixels = error.pixels;
+    }
+    throw error;
+  }
+  state.id = result.diagramId;
+  state.tiles = result.tiles;
+  state.pixels = result.pixels;
+  state.mosaicError = result.mosaicError;
+  paint(state, result.data, options);
+}
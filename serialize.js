@@ -0,0 +1,246 @@
+/**
+ * Saves diagrams as JSON documents, and loads them back. A document records
+ * everything needed to reproduce a render: the capitals and their colors (and
+ * weights), the levels above them in a nested diagram, the size of the canvas,
+ * the seeds, and the render options, e.g.
+ *
+ *   {
+ *     "format": "recursive-voronoi",
+ *     "version": 1,
+ *     "width": 800, "height": 600, "outputWidth": 1600, "outputHeight": 1200,
+ *     "seed": 123, "weightScale": 45.2,
+ *     "tiles": [{"x": 10, "y": 20, "color": "#264653"}, ...],
+ *     "options": {"metric": "euclidean", "antialias": true, ...}
+ *   }
+ *
+ * The capitals are in canvas coordinates, i.e. on a `width` x `height` canvas,
+ * which previews an `outputWidth` x `outputHeight` image.
+ */
+
+/** Identifies a diagram document. */
+const FORMAT = 'recursive-voronoi';
+
+/** The version of the documents that serializeDiagram writes. */
+export const FORMAT_VERSION = 1;
+
+// Functions that upgrade a document from each older version to the next one,
+// indexed by the older version
+const MIGRATIONS = [];
+
+// The render options that a document records, and the type of each
+const SAVED_OPTIONS = {
+  antialias: 'boolean',
+  antialiasQuality: 'string',
+  borderColor: 'string',
+  borderWidth: 'number',
+  coloring: 'string',
+  displayBorders: 'boolean',
+  displayCapitals: 'boolean',
+  displayDelaunay: 'boolean',
+  displayParentBorders: 'boolean',
+  distribution: 'string',
+  heatmap: 'string',
+  imageBackground: 'string',
+  imageFit: 'string',
+  imagePanX: 'number',
+  imagePanY: 'number',
+  imageZoom: 'number',
+  metric: 'string',
+  mosaicColor: 'string',
+  palette: 'string',
+  refine: 'boolean',
+  refineError: 'number',
+  seamless: 'boolean',
+  shading: 'string',
+  subdivisions: 'array',
+  subdivisionVariation: 'number',
+  weighting: 'string',
+  weights: 'string',
+};
+
+/**
+ * Returns a JSON document for the given diagram state and render options. An
+ * image is only referenced if its URL outlives the page, but the tiles' colors
+ * come from it either way.
+ */
+export function serializeDiagram(state, options) {
+  const {tiles, levels, canvas, seed, colorSeed, weightScale, relaxations} =
+      state;
+  const savedOptions = {};
+  for (const name of Object.keys(SAVED_OPTIONS)) {
+    if (options[name] !== undefined) {
+      savedOptions[name] = options[name];
+    }
+  }
+  const imageUrl = options.imageUrl;
+  return JSON.stringify({
+    format: FORMAT,
+    version: FORMAT_VERSION,
+    width: canvas.width,
+    height: canvas.height,
+    outputWidth: options.outputWidth ?? canvas.width,
+    outputHeight: options.outputHeight ?? canvas.height,
+    seed,
+    colorSeed,
+    weightScale,
+    relaxations,
+    imageUrl: imageUrl && /^https?:/.test(imageUrl) ? imageUrl : undefined,
+    tiles: tiles.map(serializeTile),
+    levels: levels?.map(level => level.map(serializeTile)),
+    options: savedOptions,
+  });
+}
+
+/** Returns the JSON form of a tile, without its index. */
+function serializeTile({x, y, color, weight, parent}) {
+  const hex = [...color]
+                  .map(c => Math.round(c).toString(16).padStart(2, '0'))
+                  .join('');
+  return {x, y, color: `#${hex}`, weight, parent};
+}
+
+/**
+ * Parses a document written by serializeDiagram, upgrading it from an older
+ * version if need be. Returns an object like the document, whose `tiles` (and
+ * `levels`) are ready to render. Throws an Error that says what is wrong with
+ * the document if it isn't valid.
+ */
+export function parseDiagram(text) {
+  let diagram;
+  try {
+    diagram = JSON.parse(text);
+  } catch (error) {
+    throw new Error(`Not a diagram file: ${error.message}`);
+  }
+  if (!isObject(diagram) || diagram.format !== FORMAT) {
+    throw new Error('Not a diagram file');
+  }
+  const {version} = diagram;
+  if (!Number.isInteger(version) || version < 1) {
+    throw new Error(`Invalid diagram file version: ${version}`);
+  }
+  if (version > FORMAT_VERSION) {
+    throw new Error(
+        `The diagram file is version ${version}, but only versions up to ` +
+        `${FORMAT_VERSION} can be loaded`);
+  }
+  for (let olderVersion = version; olderVersion < FORMAT_VERSION;
+       ++olderVersion) {
+    diagram = MIGRATIONS[olderVersion](diagram);
+  }
+  validateDiagram(diagram);
+  const levels = diagram.levels?.map(parseLevel);
+  return {
+    ...diagram,
+    version: FORMAT_VERSION,
+    tiles: parseLevel(diagram.tiles),
+    levels,
+    options: {...diagram.options},
+  };
+}
+
+/** Returns whether a JSON value is an object (and not an array or null). */
+const isObject = (value) =>
+    typeof value === 'object' && value !== null && !Array.isArray(value);
+
+/** Checks the fields of an up-to-date document. */
+function validateDiagram(diagram) {
+  const fail = (message) => {
+    throw new Error(`Invalid diagram file: ${message}`);
+  };
+  for (const field of ['width', 'height', 'outputWidth', 'outputHeight']) {
+    if (!Number.isInteger(diagram[field]) || diagram[field] < 1) {
+      fail(`${field} must be a positive integer`);
+    }
+  }
+  for (const field of ['seed', 'colorSeed', 'relaxations']) {
+    if (diagram[field] !== undefined &&
+        !(Number.isInteger(diagram[field]) && diagram[field] >= 0)) {
+      fail(`${field} must be a non-negative integer`);
+    }
+  }
+  if (diagram.weightScale !== undefined &&
+      !(typeof diagram.weightScale === 'number' && diagram.weightScale > 0)) {
+    fail('weightScale must be a positive number');
+  }
+  if (diagram.imageUrl !== undefined && typeof diagram.imageUrl !== 'string') {
+    fail('imageUrl must be a string');
+  }
+
+  // nested levels each split the cells of the one above
+  const {width, height} = diagram;
+  const levels = [...(diagram.levels ?? []), diagram.tiles];
+  if (diagram.levels !== undefined &&
+      (!Array.isArray(diagram.levels) || diagram.levels.length === 0)) {
+    fail('levels must be a non-empty array');
+  }
+  levels.forEach((tiles, level) => {
+    const name = level === levels.length - 1 ? 'tiles' : `levels[${level}]`;
+    if (!Array.isArray(tiles) || tiles.length === 0) {
+      fail(`${name} must be a non-empty array`);
+    }
+    tiles.forEach((tile, i) => {
+      const tileName = `${name}[${i}]`;
+      if (!isObject(tile)) {
+        fail(`${tileName} must be an object`);
+      }
+      if (!Number.isInteger(tile.x) || tile.x < 0 || tile.x >= width ||
+          !Number.isInteger(tile.y) || tile.y < 0 || tile.y >= height) {
+        fail(`${tileName} must have integer x and y on the canvas`);
+      }
+      if (typeof tile.color !== 'string' ||
+          !/^#[0-9a-f]{6}$/i.test(tile.color)) {
+        fail(`${tileName}.color must be a '#rrggbb' color`);
+      }
+      if (tile.weight !== undefined &&
+          !(typeof tile.weight === 'number' && tile.weight >= 0 &&
+            tile.weight <= 1)) {
+        fail(`${tileName}.weight must be a number in [0, 1]`);
+      }
+      if (level > 0 &&
+          !(Number.isInteger(tile.parent) && tile.parent >= 0 &&
+            tile.parent < levels[level - 1].length)) {
+        fail(`${tileName}.parent must be the index of a tile a level up`);
+      }
+    });
+  });
+
+  if (!isObject(diagram.options)) {
+    fail('options must be an object');
+  }
+  for (const [name, type] of Object.entries(SAVED_OPTIONS)) {
+    const value = diagram.options[name];
+    if (value === undefined) {
+      continue;
+    }
+    const isValid = type === 'array' ?
+        Array.isArray(value) &&
+            value.every(count => Number.isInteger(count) && count > 0) :
+        typeof value === type;
+    if (!isValid) {
+      fail(`options.${name} must be ${
+          type === 'array' ? 'an array of positive integers' : `a ${type}`}`);
+    }
+  }
+}
+
+/** Returns the tiles of a level of a validated document, ready to render. */
+function parseLevel(tiles) {
+  return tiles.map(({x, y, color, weight, parent}, i) => {
+    const value = parseInt(color.slice(1), 16);
+    const tile = {
+      i,
+      x,
+      y,
+      color: new Uint8ClampedArray(
+          [(value >> 16) & 0xff, (value >> 8) & 0xff, value & 0xff]),
+    };
+    if (weight !== undefined) {
+      tile.weight = weight;
+    }
+    if (parent !== undefined) {
+      tile.parent = parent;
+    }
+    return tile;
+  });
+}
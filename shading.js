@@ -0,0 +1,180 @@
+import {torus, wrapDelta} from './util.js';
+
+/** Ways to shade each cell (see renderShading). */
+export const SHADINGS = ['none', 'radial', 'bevel', 'glow', 'stained-glass'];
+
+// Sizes of the effects, as fractions of the typical size of a cell, so that
+// they look the same at any resolution
+const BEVEL_SIZE = 0.15;
+const GLOW_SIZE = 0.08;
+const LEADING_SIZE = 0.06;
+
+// How far the effects lighten (> 0) or darken (< 0) a color, at most
+const RADIAL_STRENGTH = 0.4;
+const BEVEL_STRENGTH = 0.5;
+const GLOW_STRENGTH = 0.6;
+
+/** Color of the leading between the panes of stained glass. */
+const LEADING_RGB = [24, 24, 24];
+
+/**
+ * Shades each cell of a rendered diagram, pixel by pixel, according to its
+ * distance to the cell's capital and to the cell's border:
+ *   - 'radial': lighter around the capital, darker towards the border
+ *   - 'bevel': raised edges, lit from the top left
+ *   - 'glow': lighter along the border, fading towards the middle
+ *   - 'stained-glass': a bevel, with dark leading along the border
+ * Only borders between cells count, not the edges of the canvas. Shades the
+ * colors already on the canvas, so it works on antialiased or image colors
+ * too. Needs a repaint.
+ */
+export function renderShading(state, shading) {
+  if (shading === 'none' || !SHADINGS.includes(shading)) {
+    return;
+  }
+  console.time('renderShading');
+  const {tiles, canvas, pixels} = state;
+  const width = canvas.width;
+  const height = canvas.height;
+  const cellSize = Math.sqrt(width * height / tiles.length);
+  const borderDistances = getBorderDistances(state);
+  // a bevel's height rises from the border up to its full size
+  const bevelSize = Math.max(BEVEL_SIZE * cellSize, 1);
+  const bevelHeight =
+      (pixelIndex) => Math.min(borderDistances[pixelIndex], bevelSize);
+  const leadingWidth = Math.max(LEADING_SIZE * cellSize, 1);
+  const glowSize = Math.max(GLOW_SIZE * cellSize, 1);
+
+  const shaded = new Uint8ClampedArray(3);
+  for (let y = 0; y < height; ++y) {
+    for (let x = 0; x < width; ++x) {
+      const pixelIndex = x + width * y;
+      const borderDistance = borderDistances[pixelIndex];
+      let amount = 0;
+      let leading = 0;
+      if (shading === 'radial') {
+        const tile = tiles[pixels[pixelIndex]];
+        const dx = torus ? wrapDelta(x - tile.x, width) : x - tile.x;
+        const dy = torus ? wrapDelta(y - tile.y, height) : y - tile.y;
+        const capitalDistance = Math.hypot(dx, dy);
+        // 0 on the border, 1 at the capital
+        const t = borderDistance === Infinity ? 1 :
+            borderDistance / (borderDistance + capitalDistance);
+        amount = RADIAL_STRENGTH * (2 * t - 1);
+      } else if (shading === 'glow') {
+        amount = GLOW_STRENGTH * Math.exp(-borderDistance / glowSize);
+      } else {
+        // the slope of the bevel, which faces the light where it rises
+        // towards the bottom right
+        const left = pixelIndex - (x > 0 ? 1 : torus ? 1 - width : 0);
+        const right = pixelIndex + (x < width - 1 ? 1 : torus ? 1 - width : 0);
+        const up = pixelIndex - width * (y > 0 ? 1 : torus ? 1 - height : 0);
+        const down =
+            pixelIndex + width * (y < height - 1 ? 1 : torus ? 1 - height : 0);
+        const slopeX = (bevelHeight(right) - bevelHeight(left)) / 2;
+        const slopeY = (bevelHeight(down) - bevelHeight(up)) / 2;
+        amount = BEVEL_STRENGTH * (slopeX + slopeY) / Math.SQRT2;
+        if (shading === 'stained-glass') {
+          // antialiased by how much of the pixel the leading covers
+          leading = Math.min(
+              Math.max(leadingWidth / 2 + 0.5 - borderDistance, 0), 1);
+        }
+      }
+      const color = canvas.getPixel(pixelIndex);
+      shaded[0] = color >> 16;
+      shaded[1] = color >> 8 & 0xff;
+      shaded[2] = color & 0xff;
+      for (let channel = 0; channel < 3; ++channel) {
+        const value = amount > 0 ?
+            shaded[channel] + (255 - shaded[channel]) * amount :
+            shaded[channel] * (1 + amount);
+        shaded[channel] =
+            value * (1 - leading) + LEADING_RGB[channel] * leading;
+      }
+      canvas.setPixel(pixelIndex, shaded);
+    }
+  }
+  console.timeEnd('renderShading');
+}
+
+/**
+ * Returns the distance from each pixel to the border of its cell, which runs
+ * between pixels, so the pixels along it are half a pixel away. Distances are
+ * chamfer distances, i.e. along paths of horizontal, vertical and diagonal
+ * steps, which is close enough for shading. Infinity means that there are no
+ * borders at all.
+ */
+function getBorderDistances({canvas, pixels}) {
+  const width = canvas.width;
+  const height = canvas.height;
+  // the index of pixel (x, y) on a torus, or -1 if it's off the canvas
+  const indexOf = (x, y) => {
+    if (torus) {
+      return (x + width) % width + width * ((y + height) % height);
+    }
+    return x >= 0 && x < width && y >= 0 && y < height ? x + width * y : -1;
+  };
+  const isEdge = (x, y) => x === 0 || x === width - 1 || y === 0 ||
+      y === height - 1;
+  const distances = new Float32Array(width * height).fill(Infinity);
+  for (let y = 0; y < height; ++y) {
+    for (let x = 0; x < width; ++x) {
+      const pixelIndex = x + width * y;
+      const tileIndex = pixels[pixelIndex];
+      const isBorder = isEdge(x, y) ?
+          [[-1, 0], [1, 0], [0, -1], [0, 1]].some(([dx, dy]) => {
+            const nbrIndex = indexOf(x + dx, y + dy);
+            return nbrIndex !== -1 && pixels[nbrIndex] !== tileIndex;
+          }) :
+          pixels[pixelIndex - 1] !== tileIndex ||
+              pixels[pixelIndex + 1] !== tileIndex ||
+              pixels[pixelIndex - width] !== tileIndex ||
+              pixels[pixelIndex + width] !== tileIndex;
+      if (isBorder) {
+        distances[pixelIndex] = 0.5;
+      }
+    }
+  }
+  // sweep forwards and then backwards, each time taking steps from the
+  // neighbors already visited. On a torus, another round carries the
+  // distances across the edges.
+  const forwardSteps =
+      [[-1, 0, 1], [-1, -1, Math.SQRT2], [0, -1, 1], [1, -1, Math.SQRT2]];
+  const backwardSteps = forwardSteps.map(([dx, dy, step]) => [-dx, -dy, step]);
+  const relax = (pixelIndex, nbrIndex, step) => {
+    if (distances[nbrIndex] + step < distances[pixelIndex]) {
+      distances[pixelIndex] = distances[nbrIndex] + step;
+    }
+  };
+  const sweep = (x, y, steps) => {
+    const pixelIndex = x + width * y;
+    if (isEdge(x, y)) {
+      for (const [dx, dy, step] of steps) {
+        const nbrIndex = indexOf(x + dx, y + dy);
+        if (nbrIndex !== -1) {
+          relax(pixelIndex, nbrIndex, step);
+        }
+      }
+      return;
+    }
+    // unrolled, since this is the bulk of the work
+    const sign = steps === forwardSteps ? 1 : -1;
+    relax(pixelIndex, pixelIndex - sign, 1);
+    relax(pixelIndex, pixelIndex - sign * (width + 1), Math.SQRT2);
+    relax(pixelIndex, pixelIndex - sign * width, 1);
+    relax(pixelIndex, pixelIndex - sign * (width - 1), Math.SQRT2);
+  };
+  for (let round = 0; round < (torus ? 2 : 1); ++round) {
+    for (let y = 0; y < height; ++y) {
+      for (let x = 0; x < width; ++x) {
+        sweep(x, y, forwardSteps);
+      }
+    }
+    for (let y = height - 1; y >= 0; --y) {
+      for (let x = width - 1; x >= 0; --x) {
+        sweep(x, y, backwardSteps);
+      }
+    }
+  }
+  return distances;
+}
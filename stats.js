@@ -0,0 +1,130 @@
+import {getAdjacencyGraph} from './graph.js';
+import {getPalette, getPaletteColor} from './palette.js';
+import {torus, wrapDelta} from './util.js';
+
+/** The fields of each tile's stats (see getTileStats), in CSV column order. */
+const STAT_FIELDS = [
+  'i', 'x', 'y', 'area', 'perimeter', 'centroidX', 'centroidY', 'minX', 'minY',
+  'maxX', 'maxY', 'neighbors',
+];
+
+/**
+ * Measures each tile of a rendered diagram on its pixels map. Returns an array
+ * with an object per tile, holding its index `i` and capital (x, y), and:
+ *   - `area`: the number of pixels in the tile
+ *   - `perimeter`: the number of pixel sides along its border, including the
+ *     edges of the canvas
+ *   - (`centroidX`, `centroidY`): the average of its pixels
+ *   - `minX`, `minY`, `maxX`, `maxY`: its bounding box, inclusive
+ *   - `neighbors`: the number of tiles that share a border with it
+ * A tile can be empty in a weighted diagram, in which case its centroid and
+ * bounding box are null. On a torus (see setSeamless), a tile that wraps
+ * around the edges is measured as one piece, so its bounding box extends past
+ * the canvas.
+ */
+export function getTileStats(state) {
+  const {tiles, canvas, pixels} = state;
+  const width = canvas.width;
+  const height = canvas.height;
+  const stats = tiles.map(tile => ({
+    i: tile.i,
+    x: tile.x,
+    y: tile.y,
+    area: 0,
+    perimeter: 0,
+    centroidX: null,
+    centroidY: null,
+    minX: Infinity,
+    minY: Infinity,
+    maxX: -Infinity,
+    maxY: -Infinity,
+    neighbors: 0,
+  }));
+  // sums of the pixels' offsets from their capitals, for the centroids
+  const sumX = new Float64Array(tiles.length);
+  const sumY = new Float64Array(tiles.length);
+  // whether a pixel side borders another tile, or the canvas edge
+  const isBorder = (tileIndex, x, y) => {
+    if (torus) {
+      x = (x + width) % width;
+      y = (y + height) % height;
+    } else if (x < 0 || x >= width || y < 0 || y >= height) {
+      return true;
+    }
+    return pixels[x + width * y] !== tileIndex;
+  };
+  for (let y = 0; y < height; ++y) {
+    for (let x = 0; x < width; ++x) {
+      const tileIndex = pixels[x + width * y];
+      const tile = tiles[tileIndex];
+      const tileStats = stats[tileIndex];
+      const dx = torus ? wrapDelta(x - tile.x, width) : x - tile.x;
+      const dy = torus ? wrapDelta(y - tile.y, height) : y - tile.y;
+      tileStats.area += 1;
+      sumX[tileIndex] += dx;
+      sumY[tileIndex] += dy;
+      tileStats.minX = Math.min(tileStats.minX, tile.x + dx);
+      tileStats.minY = Math.min(tileStats.minY, tile.y + dy);
+      tileStats.maxX = Math.max(tileStats.maxX, tile.x + dx);
+      tileStats.maxY = Math.max(tileStats.maxY, tile.y + dy);
+      tileStats.perimeter += isBorder(tileIndex, x - 1, y) +
+          isBorder(tileIndex, x + 1, y) + isBorder(tileIndex, x, y - 1) +
+          isBorder(tileIndex, x, y + 1);
+    }
+  }
+  const graph = getAdjacencyGraph(state);
+  stats.forEach((tileStats, tileIndex) => {
+    for (const borderLength of graph[tileIndex].values()) {
+      tileStats.neighbors += borderLength > 0 ? 1 : 0;
+    }
+    if (tileStats.area === 0) {
+      tileStats.minX = tileStats.minY = tileStats.maxX = tileStats.maxY = null;
+      return;
+    }
+    let centroidX = tileStats.x + sumX[tileIndex] / tileStats.area;
+    let centroidY = tileStats.y + sumY[tileIndex] / tileStats.area;
+    if (torus) {
+      centroidX = (centroidX + width) % width;
+      centroidY = (centroidY + height) % height;
+    }
+    tileStats.centroidX = centroidX;
+    tileStats.centroidY = centroidY;
+  });
+  return stats;
+}
+
+/**
+ * Exports the stats of each tile (see getTileStats) as a 'json' array or as
+ * 'csv' with a header row.
+ */
+export function exportStats(state, format = 'json') {
+  const stats = getTileStats(state);
+  if (format === 'csv') {
+    const rows = stats.map(tileStats => {
+      return STAT_FIELDS.map(field => tileStats[field] ?? '').join(',');
+    });
+    return [STAT_FIELDS.join(','), ...rows].join('\n');
+  }
+  return JSON.stringify(stats);
+}
+
+/** Stats that a heatmap can show (see drawHeatmap). */
+export const HEATMAPS = ['none', 'area', 'neighbors'];
+
+/**
+ * Paints each tile according to one of its stats (see HEATMAPS), on a scale
+ * from dark blue for the tiles with the smallest value to yellow for the
+ * largest. Needs a repaint.
+ */
+export function drawHeatmap(state, heatmap) {
+  const {canvas, pixels} = state;
+  const values = getTileStats(state).map(tileStats => tileStats[heatmap]);
+  const min = values.reduce((a, b) => Math.min(a, b));
+  const range = values.reduce((a, b) => Math.max(a, b)) - min;
+  const palette = getPalette('viridis');
+  const colors = values.map(value => getPaletteColor(
+      palette, range > 0 ? (value - min) / range : 0.5));
+  for (let pixelIndex = 0; pixelIndex < pixels.length; ++pixelIndex) {
+    canvas.setPixel(pixelIndex, colors[pixels[pixelIndex]]);
+  }
+}
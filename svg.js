@@ -0,0 +1,321 @@
+import {findNeighbors} from './graph.js';
+import {isEuclideanMetric} from './util.js';
+import {
+  CAPITAL_RADIUS,
+  getCapitalColor,
+  getTopLevelIndexes,
+} from './voronoi.js';
+
+/**
+ * Exports a rendered diagram as an SVG document, with one filled polygon per
+ * tile. For the Euclidean metric the polygons are exact (unless the diagram
+ * has curved borders, i.e. a `weighting` other than 'none' or 'power', or
+ * wraps around the edges, i.e. is `seamless`); other diagrams are traced along
+ * the pixel boundaries of the `pixels` map. Only the bottom level of a nested
+ * diagram is drawn. If `displayBorders`, each cell is outlined with a stroke
+ * of `borderWidth` in `borderColor` (see drawOverlays in voronoi.js). The
+ * document is sized `outputWidth` x `outputHeight`, scaling the diagram if
+ * necessary.
+ */
+export function exportSvg(state, {
+  borderColor = '#000',
+  borderWidth = 2,
+  displayBorders = false,
+  displayCapitals = false,
+  metric,
+  seamless = false,
+  weighting = 'none',
+  outputWidth = state.canvas.width,
+  outputHeight = state.canvas.height,
+} = {}) {
+  console.time('exportSvg');
+  const {tiles, levels, canvas, pixels} = state;
+  const width = canvas.width;
+  const height = canvas.height;
+
+  const hasStraightBorders = weighting === 'none' || weighting === 'power';
+  const isExact = isEuclideanMetric(metric) && hasStraightBorders && !seamless;
+  const pathData = isExact ?
+      calculateExactCells(
+          tiles, pixels, width, height,
+          weighting === 'power' ? state.weightScale : 0, levels) :
+      traceCells(tiles.length, pixels, width, height);
+
+  const lines = [
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${outputWidth}" ` +
+        `height="${outputHeight}" viewBox="0 0 ${width} ${height}">`,
+    // stroke each cell in its own color to hide seams between cells
+    '<g stroke-width="0.5" stroke-linejoin="round">',
+  ];
+  for (let tileIndex = 0; tileIndex < tiles.length; ++tileIndex) {
+    if (pathData[tileIndex]) {
+      const color = toHexColor(tiles[tileIndex].color);
+      lines.push(`<path d="${pathData[tileIndex]}" fill="${color}" ` +
+                 `stroke="${color}"/>`);
+    }
+  }
+  lines.push('</g>');
+  if (displayBorders) {
+    // the stroke straddles each border, like the outlines on the canvas
+    lines.push(`<g fill="none" stroke="${borderColor}" ` +
+               `stroke-width="${borderWidth}" stroke-linejoin="round">`);
+    for (const path of pathData) {
+      if (path) {
+        lines.push(`<path d="${path}"/>`);
+      }
+    }
+    lines.push('</g>');
+  }
+  if (displayCapitals) {
+    for (const tile of tiles) {
+      const color = getCapitalColor(tile.color);
+      lines.push(`<circle cx="${tile.x}" cy="${tile.y}" ` +
+                 `r="${CAPITAL_RADIUS}" fill="${color}"/>`);
+    }
+  }
+  lines.push('</svg>');
+  console.timeEnd('exportSvg');
+  return lines.join('\n');
+}
+
+/** Formats an [r, g, b] color as '#rrggbb'. */
+function toHexColor(color) {
+  return '#' +
+      [color[0], color[1], color[2]]
+          .map(c => Math.round(c).toString(16).padStart(2, '0'))
+          .join('');
+}
+
+/** Rounds a coordinate for output. */
+const round = (n) => Math.round(n * 100) / 100;
+
+/**
+ * Calculates each Euclidean Voronoi cell by clipping the canvas rectangle with
+ * the perpendicular bisector between the tile and each of its neighbors. The
+ * neighbors are read off the pixels map first, which saves checking every pair
+ * of tiles. That misses neighbors across borders shorter than a pixel, so the
+ * cell is then clipped by every other tile close enough to cut what's left of
+ * it. Pixel (x, y) covers [x, x + 1] x [y, y + 1], so capitals sit at pixel
+ * centers. For a power diagram, pass its weight scale as `powerScale`; the
+ * bisectors are then shifted according to the tiles' weights.
+ *
+ * For a nested diagram, pass the `levels` above the tiles. The cells of the
+ * top level are calculated as above, and each cell on a level below is its
+ * parent's cell clipped with the bisectors between it and its siblings.
+ */
+function calculateExactCells(
+    tiles, pixels, width, height, powerScale, levels) {
+  let neighbors = findNeighbors(tiles.length, pixels, width, height);
+  const topTiles = levels ? levels[0] : tiles;
+  if (levels) {
+    // the top level's neighbors, read off the bottom level's
+    const topLevelIndexes = getTopLevelIndexes(tiles, levels);
+    const topNeighbors = topTiles.map(() => new Set());
+    neighbors.forEach((nbrs, tileIndex) => {
+      const topIndex = topLevelIndexes[tileIndex];
+      for (const nbrIndex of nbrs) {
+        if (topLevelIndexes[nbrIndex] !== topIndex) {
+          topNeighbors[topIndex].add(topLevelIndexes[nbrIndex]);
+        }
+      }
+    });
+    neighbors = topNeighbors;
+  }
+  const power = (tile) => powerScale * powerScale * (tile.weight || 0);
+  const maxPower =
+      topTiles.reduce((max, tile) => Math.max(max, power(tile)), 0);
+  const findTilesNear = createTileGrid(topTiles, width, height);
+  let polygons = topTiles.map((tile, tileIndex) => {
+    if (neighbors[tileIndex].size === 0 && topTiles.length > 1) {
+      // a weighted tile can be empty
+      return [];
+    }
+    const x = tile.x + 0.5;
+    const y = tile.y + 0.5;
+    let polygon = [[0, 0], [width, 0], [width, height], [0, height]];
+    const clipWith = nbrIndex => {
+      const nbr = topTiles[nbrIndex];
+      polygon = clipToHalfPlane(
+          polygon, x, y, nbr.x + 0.5, nbr.y + 0.5, power(tile) - power(nbr));
+    };
+    neighbors[tileIndex].forEach(clipWith);
+    // another tile only cuts the cell if its capital is within `reach`: every
+    // point of the cell is within `radius` of this capital, and the points on
+    // the border between them are as close (in power) to both
+    const radius = Math.sqrt(polygon.reduce(
+        (max, [px, py]) => Math.max(max, (px - x) ** 2 + (py - y) ** 2), 0));
+    const reach =
+        radius + Math.sqrt(Math.max(0, radius ** 2 + maxPower - power(tile)));
+    for (const nbrIndex of findTilesNear(x, y, reach)) {
+      if (nbrIndex !== tileIndex && !neighbors[tileIndex].has(nbrIndex)) {
+        clipWith(nbrIndex);
+      }
+    }
+    return polygon;
+  });
+  for (const level of levels ? [...levels.slice(1), tiles] : []) {
+    const siblings = polygons.map(() => []);
+    for (const tile of level) {
+      siblings[tile.parent].push(tile);
+    }
+    polygons = level.map(tile => {
+      let polygon = polygons[tile.parent];
+      for (const sibling of siblings[tile.parent]) {
+        if (sibling !== tile) {
+          polygon = clipToHalfPlane(
+              polygon, tile.x + 0.5, tile.y + 0.5, sibling.x + 0.5,
+              sibling.y + 0.5);
+        }
+      }
+      return polygon;
+    });
+  }
+  return polygons.map(polygon => {
+    if (polygon.length < 3) {
+      return '';
+    }
+    return 'M' + polygon.map(([px, py]) => `${round(px)} ${round(py)}`)
+                     .join('L') +
+        'Z';
+  });
+}
+
+/**
+ * Buckets the tiles by the position of their capitals. Returns a function that
+ * returns the tileIndexes of the capitals within `radius` of (x, y), where the
+ * capital of a tile at pixel (x, y) is at (x + 0.5, y + 0.5).
+ */
+function createTileGrid(tiles, width, height) {
+  // about one tile per bucket
+  const cellSize = Math.max(1, Math.sqrt(width * height / tiles.length));
+  const cols = Math.ceil(width / cellSize);
+  const rows = Math.ceil(height / cellSize);
+  const buckets = Array.from({length: cols * rows}, () => []);
+  tiles.forEach((tile, tileIndex) => {
+    const col = Math.floor(tile.x / cellSize);
+    const row = Math.floor(tile.y / cellSize);
+    buckets[col + cols * row].push(tileIndex);
+  });
+  return (x, y, radius) => {
+    const tileIndexes = [];
+    const minCol = Math.max(0, Math.floor((x - radius) / cellSize));
+    const maxCol = Math.min(cols - 1, Math.floor((x + radius) / cellSize));
+    const minRow = Math.max(0, Math.floor((y - radius) / cellSize));
+    const maxRow = Math.min(rows - 1, Math.floor((y + radius) / cellSize));
+    for (let row = minRow; row <= maxRow; ++row) {
+      for (let col = minCol; col <= maxCol; ++col) {
+        for (const tileIndex of buckets[col + cols * row]) {
+          const tile = tiles[tileIndex];
+          if (Math.hypot(tile.x + 0.5 - x, tile.y + 0.5 - y) <= radius) {
+            tileIndexes.push(tileIndex);
+          }
+        }
+      }
+    }
+    return tileIndexes;
+  };
+}
+
+/**
+ * Clips a convex polygon to the half plane of points at least as close to
+ * (x1, y1) as to (x2, y2) (Sutherland-Hodgman). A nonzero `powerDifference`
+ * compares squared distances minus powers instead, where it's the first
+ * point's power minus the second's.
+ */
+function clipToHalfPlane(polygon, x1, y1, x2, y2, powerDifference = 0) {
+  // a point p is inside iff (p - midpoint) . (p2 - p1) <= powerDifference / 2
+  const nx = x2 - x1;
+  const ny = y2 - y1;
+  const c = (nx * (x1 + x2) + ny * (y1 + y2) + powerDifference) / 2;
+  const side = ([px, py]) => nx * px + ny * py - c;
+  const clipped = [];
+  for (let i = 0; i < polygon.length; ++i) {
+    const current = polygon[i];
+    const next = polygon[(i + 1) % polygon.length];
+    const currentSide = side(current);
+    const nextSide = side(next);
+    if (currentSide <= 0) {
+      clipped.push(current);
+    }
+    if ((currentSide < 0 && nextSide > 0) ||
+        (currentSide > 0 && nextSide < 0)) {
+      const t = currentSide / (currentSide - nextSide);
+      clipped.push([
+        current[0] + t * (next[0] - current[0]),
+        current[1] + t * (next[1] - current[1]),
+      ]);
+    }
+  }
+  return clipped;
+}
+
+/**
+ * Traces the outline of each tile's pixels. Every pixel side that borders
+ * another tile (or the edge of the canvas) becomes a clockwise edge; the edges
+ * are then joined into closed loops and collinear runs are merged.
+ */
+function traceCells(numTiles, pixels, width, height) {
+  // per tile: start vertex -> end vertices of its boundary edges, where vertex
+  // (x, y) is encoded as x + (width + 1) * y
+  const edges = Array.from({length: numTiles}, () => new Map());
+  const stride = width + 1;
+  const addEdge = (tileIndex, from, to) => {
+    const tileEdges = edges[tileIndex];
+    const ends = tileEdges.get(from);
+    if (ends) {
+      ends.push(to);
+    } else {
+      tileEdges.set(from, [to]);
+    }
+  };
+  for (let y = 0; y < height; ++y) {
+    for (let x = 0; x < width; ++x) {
+      const pixelIndex = x + width * y;
+      const tileIndex = pixels[pixelIndex];
+      const topLeft = x + stride * y;
+      if (y === 0 || pixels[pixelIndex - width] !== tileIndex) {
+        addEdge(tileIndex, topLeft, topLeft + 1);
+      }
+      if (x === width - 1 || pixels[pixelIndex + 1] !== tileIndex) {
+        addEdge(tileIndex, topLeft + 1, topLeft + 1 + stride);
+      }
+      if (y === height - 1 || pixels[pixelIndex + width] !== tileIndex) {
+        addEdge(tileIndex, topLeft + 1 + stride, topLeft + stride);
+      }
+      if (x === 0 || pixels[pixelIndex - 1] !== tileIndex) {
+        addEdge(tileIndex, topLeft + stride, topLeft);
+      }
+    }
+  }
+  return edges.map(tileEdges => joinEdges(tileEdges, stride));
+}
+
+/** Joins a tile's boundary edges into closed loops of SVG path data. */
+function joinEdges(tileEdges, stride) {
+  let pathData = '';
+  while (tileEdges.size > 0) {
+    const start = tileEdges.keys().next().value;
+    const loop = [];
+    let vertex = start;
+    do {
+      loop.push(vertex);
+      const ends = tileEdges.get(vertex);
+      const next = ends.pop();
+      if (ends.length === 0) {
+        tileEdges.delete(vertex);
+      }
+      vertex = next;
+    } while (vertex !== start);
+
+    // keep only the corners
+    const corners = loop.filter((vertex, i) => {
+      const prev = loop[(i + loop.length - 1) % loop.length];
+      const next = loop[(i + 1) % loop.length];
+      return vertex - prev !== next - vertex;
+    });
+    const points = corners.map(
+        vertex => `${vertex % stride} ${Math.floor(vertex / stride)}`);
+    pathData += 'M' + points.join('L') + 'Z';
+  }
+  return pathData;
+}
@@ -1,5 +1,25 @@
-/** Returns a random integer in [0, n) */
-export const rand = (n) => Math.floor(Math.random() * n);
+/**
+ * Returns a random integer in [0, n). Pass a generator from createRandom as
+ * `random` for reproducible results.
+ */
+export const rand = (n, random = Math.random) => Math.floor(random() * n);
+
+/**
+ * Returns a seeded pseudorandom number generator (mulberry32) with the same
+ * interface as Math.random. The same seed always yields the same sequence.
+ */
+export function createRandom(seed) {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6d2b79f5) | 0;
+    let t = Math.imul(a ^ (a >>> 15), 1 | a);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/** Returns a random 32-bit seed for createRandom. */
+export const randomSeed = () => crypto.getRandomValues(new Uint32Array(1))[0];
 
 /**
  * Returns the sqaure of the Euclidean distance between two points in R^2.
@@ -11,11 +31,12 @@ const euclideanDist = (x1, y1, x2, y2) => {
 };
 
 /**
- * Returns the un-rooted distance between two points in R^2 according to the
- * configured metric. Sufficient for comparing distances.
+ * Returns a function that computes the un-rooted distance between two points in
+ * R^2 according to the Lp metric, i.e. |dx|^p + |dy|^p. Sufficient for
+ * comparing distances. (For p < 1 this is a metric in its own right, rather
+ * than the p-th power of one.)
  */
-export const distance = (() => {
-  const metric = Number(new URLSearchParams(location.search).get('metric'));
+export function getDistanceFunction(metric) {
   switch (metric) {
     case 1:
       // taxicab distance
@@ -42,7 +63,7 @@ export const distance = (() => {
         return dx + dy;
       };
     default:
-      if (metric > 1) {
+      if (metric > 0) {
         // generalized distance: dx^m + dy^m
         return (x1, y1, x2, y2) => {
           const dx = Math.abs(x1 - x2);
@@ -54,60 +75,490 @@ export const distance = (() => {
         return euclideanDist;
       }
   }
-})();
+}
+
+// name -> metric; see registerMetric
+const METRICS = new Map();
+
+/**
+ * Registers a metric under the given name, so that setMetric can select it.
+ * Metrics are registered per thread, so to use a custom metric in the web app,
+ * register it from a module passed to importMetrics (see renderer.js), e.g.
+ * one listed in the `metrics` URL param.
+ *
+ * `distance(x1, y1, x2, y2)` must return d^exponent, where d is a metric that
+ * only depends on the difference between the points and scales linearly with
+ * it (or d^(1 / exponent) for exponent < 1, like the fractional Lp metrics).
+ * The options describe the metric, which lets the renderer take shortcuts:
+ *   - exponent: see above (default 1)
+ *   - axisAligned: whether the distance grows with both |dx| and |dy|, so
+ *     that the nearest point of a box is found coordinate by coordinate
+ *   - simpleTiles: whether every tile is star-shaped around its capital and
+ *     crosses each row of pixels only once, so that its pixels can be found
+ *     from its capital and its boundary
+ */
+export function registerMetric(name, distance, options = {}) {
+  const {exponent = 1, axisAligned = false, simpleTiles = false} = options;
+  METRICS.set(name, {distance, exponent, axisAligned, simpleTiles});
+}
+
+registerMetric(
+    'euclidean', euclideanDist,
+    {exponent: 2, axisAligned: true, simpleTiles: true});
+registerMetric(
+    'taxicab', getDistanceFunction(1),
+    {exponent: 1, axisAligned: true, simpleTiles: true});
+// ties between capitals are common, and can break up tiles
+registerMetric(
+    'chebyshev',
+    (x1, y1, x2, y2) => Math.max(Math.abs(x1 - x2), Math.abs(y1 - y2)),
+    {exponent: 1, axisAligned: true});
+
+/** Returns the names of the registered metrics. */
+export function getMetricNames() {
+  return [...METRICS.keys()];
+}
+
+/**
+ * Returns the metric for the given spec: a registered name, or a number p > 0
+ * for the Lp metric. Either may be followed by ':aspect:angle' to make tiles
+ * `aspect` times as wide as they are tall, rotated by `angle` degrees, e.g.
+ * 'chebyshev:2:30'. Anything else selects the Euclidean metric.
+ */
+function getMetric(spec) {
+  const [name, aspect, angle] = String(spec ?? '').split(':');
+  let metric = METRICS.get(name);
+  if (!metric) {
+    const p = Number(name);
+    metric = name !== '' && p > 0 ?
+        {
+          distance: getDistanceFunction(p),
+          exponent: p,
+          axisAligned: true,
+          // Lp balls are only convex for p >= 1
+          simpleTiles: p >= 1,
+        } :
+        METRICS.get('euclidean');
+  }
+  return transformMetric(metric, Number(aspect) || 1, Number(angle) || 0);
+}
+
+/**
+ * Stretches the given metric vertically by `aspect` and then rotates it by
+ * `angle` degrees.
+ */
+function transformMetric(metric, aspect, angle) {
+  if (aspect === 1 && angle === 0) {
+    return metric;
+  }
+  const radians = angle * Math.PI / 180;
+  const cos = Math.cos(radians);
+  const sin = Math.sin(radians);
+  const {distance} = metric;
+  return {
+    ...metric,
+    // measure the difference in coordinates rotated by -angle
+    distance: (x1, y1, x2, y2) => {
+      const dx = x1 - x2;
+      const dy = y1 - y2;
+      return distance(
+          0, 0, cos * dx + sin * dy, aspect * (cos * dy - sin * dx));
+    },
+    axisAligned: metric.axisAligned && angle === 0,
+    // stretching keeps Euclidean tiles convex, but rotating other metrics
+    // makes their borders too irregular
+    simpleTiles: metric.simpleTiles &&
+        (angle === 0 || metric.distance === euclideanDist),
+  };
+}
+
+/** Returns whether the given metric spec selects the Euclidean metric. */
+export function isEuclideanMetric(metric) {
+  return getMetric(metric).distance === euclideanDist;
+}
+
+/**
+ * Returns the un-rooted distance between two points in R^2 according to the
+ * active metric (see setMetric). Sufficient for comparing distances.
+ */
+export let distance = euclideanDist;
+
+let activeMetric = METRICS.get('euclidean');
+
+/**
+ * Sets the metric used by `distance`, given a spec like the `metric` URL param
+ * (see getMetric).
+ */
+export function setMetric(metric) {
+  activeMetric = getMetric(metric);
+  updateDistance();
+  updateWeighting();
+}
+
+/**
+ * The size of the canvas when distances wrap around its edges (see
+ * setSeamless), or null.
+ */
+export let torus = null;
+
+/**
+ * Makes distances wrap around the edges of a width x height canvas, as if it
+ * were a torus, so that diagrams can be tiled seamlessly. Pass false to stop.
+ */
+export function setSeamless(seamless, width, height) {
+  torus = seamless ? {width, height} : null;
+  updateDistance();
+}
+
+/** Reduces a difference in coordinates to [-period / 2, period / 2]. */
+export function wrapDelta(delta, period) {
+  return delta - period * Math.round(delta / period);
+}
+
+/** Rebuilds `distance` for the active metric and torus. */
+function updateDistance() {
+  const metricDistance = activeMetric.distance;
+  if (!torus) {
+    distance = metricDistance;
+    return;
+  }
+  const {width, height} = torus;
+  if (activeMetric.axisAligned) {
+    distance = (x1, y1, x2, y2) => metricDistance(
+        0, 0, wrapDelta(x1 - x2, width), wrapDelta(y1 - y2, height));
+  } else {
+    // the nearest copy of the second point needn't be the nearest in each
+    // coordinate, so check the neighboring copies too
+    distance = (x1, y1, x2, y2) => {
+      const dx = wrapDelta(x1 - x2, width);
+      const dy = wrapDelta(y1 - y2, height);
+      const otherDx = dx - Math.sign(dx) * width;
+      const otherDy = dy - Math.sign(dy) * height;
+      return Math.min(
+          metricDistance(0, 0, dx, dy), metricDistance(0, 0, otherDx, dy),
+          metricDistance(0, 0, dx, otherDy),
+          metricDistance(0, 0, otherDx, otherDy));
+    };
+  }
+}
+
+/**
+ * Returns whether every tile is simple under the active metric and weighting
+ * (see registerMetric). Weighted tiles needn't even contain their capitals,
+ * and tiles on a torus may wrap around the edges of the canvas.
+ */
+export function hasSimpleTiles() {
+  return activeMetric.simpleTiles && !weightDistance && !torus;
+}
+
+/**
+ * Returns lower and upper bounds on the un-rooted distance from (x, y) to the
+ * pixels in the given box.
+ */
+export function getDistanceBounds(x, y, {minX, minY, maxX, maxY}) {
+  const metricDistance = activeMetric.distance;
+  if (activeMetric.axisAligned) {
+    // the nearest and farthest pixels are found coordinate by coordinate
+    const [nearestDx, farthestDx] =
+        getCoordinateBounds(x, minX, maxX, torus?.width);
+    const [nearestDy, farthestDy] =
+        getCoordinateBounds(y, minY, maxY, torus?.height);
+    return [
+      metricDistance(0, 0, nearestDx, nearestDy),
+      metricDistance(0, 0, farthestDx, farthestDy),
+    ];
+  }
+  // otherwise, every pixel is within `radius` of the center of the box, by
+  // the triangle inequality
+  const exponent = Math.max(activeMetric.exponent, 1);
+  const root = (dist) => Math.pow(dist, 1 / exponent);
+  const radius = root(metricDistance(0, 0, (maxX - minX) / 2, 0)) +
+      root(metricDistance(0, 0, 0, (maxY - minY) / 2));
+  const center = root(distance(x, y, (minX + maxX) / 2, (minY + maxY) / 2));
+  return [
+    Math.pow(Math.max(center - radius, 0), exponent),
+    Math.pow(center + radius, exponent),
+  ];
+}
+
+/**
+ * Returns the smallest and largest |coordinate - c| for a coordinate in
+ * [min, max], where differences wrap around `period` if it's given.
+ */
+function getCoordinateBounds(c, min, max, period) {
+  if (!period) {
+    return [
+      c < min ? min - c : (c > max ? c - max : 0),
+      Math.max(Math.abs(c - min), Math.abs(c - max)),
+    ];
+  }
+  const minDelta = Math.abs(wrapDelta(min - c, period));
+  const maxDelta = Math.abs(wrapDelta(max - c, period));
+  // the difference is 0 at c, grows until the opposite point, then shrinks
+  const offset = ((c - min) % period + period) % period;
+  const oppositeOffset = (offset + period / 2) % period;
+  return [
+    offset <= max - min ? 0 : Math.min(minDelta, maxDelta),
+    oppositeOffset <= max - min ? period / 2 : Math.max(minDelta, maxDelta),
+  ];
+}
+
+/** Ways of weighting the distance to a tile by the tile's weight. */
+export const WEIGHTING_NAMES = ['none', 'additive', 'multiplicative', 'power'];
+
+let weightingName = 'none';
+let weightScale = 1;
+
+/**
+ * Converts an un-rooted distance to a tile (see `distance`) into a weighted
+ * one, given the tile's weight in [0, 1]. The bigger the weight, the bigger
+ * the tile. This is null when the diagram is unweighted.
+ */
+export let weightDistance = null;
+
+/**
+ * Sets the weighting used by `weightDistance`:
+ *   - 'additive': d - w (an Apollonius diagram, with curved borders)
+ *   - 'multiplicative': d / w (borders are circular arcs; tiles may be split)
+ *   - 'power': d^2 - w (straight borders; a capital may lie outside its tile)
+ * The tile weights are scaled by `scale`, which should be comparable to the
+ * distance between capitals (see getWeightScale).
+ */
+export function setWeighting(name, scale = weightScale) {
+  weightingName = WEIGHTING_NAMES.includes(name) ? name : 'none';
+  weightScale = scale;
+  updateWeighting();
+}
+
+/**
+ * Returns the weight scale for `numTiles` tiles on a width x height canvas:
+ * half the typical distance between capitals, so that weights change the
+ * tiles' sizes noticeably without swallowing too many of them.
+ */
+export function getWeightScale(numTiles, width, height) {
+  return Math.sqrt(width * height / numTiles) / 2;
+}
+
+/** Rebuilds `weightDistance` for the active metric. */
+function updateWeighting() {
+  const p = activeMetric.exponent;
+  const scale = weightScale;
+  switch (weightingName) {
+    case 'additive':
+      if (p === 2) {
+        weightDistance = (dist, weight) => Math.sqrt(dist) - scale * weight;
+      } else {
+        weightDistance = (dist, weight) =>
+            Math.pow(dist, 1 / p) - scale * weight;
+      }
+      break;
+    case 'multiplicative':
+      weightDistance = (dist, weight) => dist / Math.pow(1 + weight, p);
+      break;
+    case 'power':
+      if (p === 2) {
+        weightDistance = (dist, weight) => dist - scale * scale * weight;
+      } else {
+        weightDistance = (dist, weight) =>
+            Math.pow(dist, 2 / p) - scale * scale * weight;
+      }
+      break;
+    default:
+      weightDistance = null;
+  }
+}
+
+/**
+ * Resolves on the next animation frame, giving the browser a chance to paint
+ * first. Outside of a window (e.g. in Node) it just waits for the next task.
+ */
+export function nextFrame() {
+  return new Promise(resolve => {
+    setTimeout(() => {
+      if (typeof requestAnimationFrame === 'function') {
+        requestAnimationFrame(() => resolve());
+      } else {
+        resolve();
+      }
+    }, 0);
+  });
+}
+
+/** Each sRGB channel value's linear intensity, in [0, 1]. */
+export const SRGB_TO_LINEAR = Float64Array.from({length: 256}, (_, value) => {
+  const c = value / 255;
+  return c <= 0.04045 ? c / 12.92 : ((c + 0.055) / 1.055) ** 2.4;
+});
+
+/** Converts a linear intensity in [0, 1] back to an sRGB channel value. */
+export function linearToSrgb(c) {
+  return 255 * (c <= 0.0031308 ? 12.92 * c : 1.055 * c ** (1 / 2.4) - 0.055);
+}
 
-/** Averages the color values of the given subpixel tileIndexes. */
+/**
+ * Averages the color values of the given subpixel tileIndexes. Colors are
+ * averaged as linear intensities rather than sRGB values, which would make a
+ * border between a light and a dark tile too dark.
+ */
 export function averageSubpixels(subpixels, tiles) {
   let r = 0;
   let g = 0;
   let b = 0;
   for (let i = 0; i < subpixels.length; i++) {
     const color = tiles[subpixels[i]].color;
-    r += color[0];
-    g += color[1];
-    b += color[2];
+    r += SRGB_TO_LINEAR[Math.round(color[0])];
+    g += SRGB_TO_LINEAR[Math.round(color[1])];
+    b += SRGB_TO_LINEAR[Math.round(color[2])];
   }
   const average = new Uint8ClampedArray(3);
-  average[0] = r / subpixels.length;
-  average[1] = g / subpixels.length;
-  average[2] = b / subpixels.length;
+  average[0] = linearToSrgb(r / subpixels.length);
+  average[1] = linearToSrgb(g / subpixels.length);
+  average[2] = linearToSrgb(b / subpixels.length);
   return average;
 }
 
-/** Loads pixel data from an image stretched to the given dimensions. */
+/**
+ * Ways to fit an image to the canvas (see loadImagePixelData):
+ *   - 'stretch': fill the canvas, distorting the image's aspect ratio
+ *   - 'contain': fit the whole image in, with a background color around it
+ *   - 'cover': fill the canvas, cropping the image
+ *   - 'original': the image's own size, centered
+ *   - 'tile': the image's own size, repeated
+ */
+export const IMAGE_FITS = ['stretch', 'contain', 'cover', 'original', 'tile'];
+
+/** How many fitted images loadImagePixelData keeps around. */
+const IMAGE_CACHE_SIZE = 4;
+
+/**
+ * Loads pixel data from an image fitted to the given dimensions as `fit.mode`
+ * says (see IMAGE_FITS), with `fit.background` around it. `fit.zoom` scales
+ * the fitted image up (> 1) or down (< 1), and `fit.panX` and `fit.panY`, in
+ * [-1, 1], move it from one side to the other of the room it has to move in,
+ * e.g. to choose which part a cover crops. For the image's own size, one of
+ * its pixels covers `fit.scale` of these, e.g. on a preview of a larger
+ * output. Works both in a window and in a Web Worker (via OffscreenCanvas).
+ */
 export const loadImagePixelData = (() => {
   let cachedImageUrl;
-  let cachedResolutions = {};
-  return (imageUrl, width, height) => {
-    const key = `${width}x${height}`;
+  // key -> imgPixelData, in the order they were loaded
+  let cachedImages = new Map();
+  return (imageUrl, width, height, fit = {}) => {
+    const {
+      mode = 'stretch',
+      background = '#000000',
+      panX = 0,
+      panY = 0,
+      zoom = 1,
+      scale = 1,
+    } = fit;
+    const key =
+        [width, height, mode, background, panX, panY, zoom, scale].join();
     // check whether the requested imgPixelData is cached
     if (imageUrl === cachedImageUrl) {
-      if (key in cachedResolutions) {
-        return Promise.resolve(cachedResolutions[key]);
+      if (cachedImages.has(key)) {
+        return Promise.resolve(cachedImages.get(key));
       }
     } else {
       cachedImageUrl = imageUrl;
-      cachedResolutions = {};
+      cachedImages = new Map();
     }
-    // fresh load
-    return new Promise(resolve => {
-      const imageCanvas = document.createElement('canvas');
-      imageCanvas.width = width;
-      imageCanvas.height = height;
-      const image = new Image();
-      image.crossOrigin = 'Anonymous';
-      image.src = imageUrl;
-      image.addEventListener('load', () => {
-        // stretch image onto imageCanvas
-        const ctx = imageCanvas.getContext('2d');
-        ctx.drawImage(
-            image,
-            /* source: */ 0, 0, image.width, image.height,
-            /* destination: */ 0, 0, width, height);
-        const imgPixelData = ctx.getImageData(0, 0, width, height).data;
-        cachedResolutions[key] = imgPixelData;
-        resolve(imgPixelData);
-      });
+    // fresh load, which may finish after another image's load has taken over
+    // the cache
+    const images = cachedImages;
+    const draw = (ctx, image) => drawFittedImage(
+        ctx, image, width, height,
+        {mode, background, panX, panY, zoom, scale});
+    const load = globalThis.document ?
+        loadImageWithDom(imageUrl, width, height, draw) :
+        loadImageOffscreen(imageUrl, width, height, draw);
+    return load.then(imgPixelData => {
+      if (images === cachedImages) {
+        cachedImages.set(key, imgPixelData);
+        if (cachedImages.size > IMAGE_CACHE_SIZE) {
+          cachedImages.delete(cachedImages.keys().next().value);
+        }
+      }
+      return imgPixelData;
     });
   };
 })();
+
+/**
+ * Draws an image on a `width` x `height` canvas context, fitted as `fit` says
+ * (see loadImagePixelData).
+ */
+function drawFittedImage(ctx, image, width, height, fit) {
+  const {mode, background, panX, panY, zoom, scale} = fit;
+  let scaleX = scale;
+  let scaleY = scale;
+  if (mode === 'stretch') {
+    scaleX = width / image.width;
+    scaleY = height / image.height;
+  } else if (mode === 'contain' || mode === 'cover') {
+    scaleX = scaleY = (mode === 'contain' ? Math.min : Math.max)(
+        width / image.width, height / image.height);
+  }
+  // at least a pixel, e.g. for a zoom of 0
+  const imageWidth = Math.max(1, image.width * scaleX * zoom);
+  const imageHeight = Math.max(1, image.height * scaleY * zoom);
+  const x = (width - imageWidth) * (1 + panX) / 2;
+  const y = (height - imageHeight) * (1 + panY) / 2;
+  ctx.fillStyle = background;
+  ctx.fillRect(0, 0, width, height);
+  if (mode !== 'tile') {
+    ctx.drawImage(image, x, y, imageWidth, imageHeight);
+    return;
+  }
+  // a pattern repeats the image in one fill, however small it is: it's drawn
+  // in the image's own pixels, so the canvas is mapped to those
+  const tileScaleX = imageWidth / image.width;
+  const tileScaleY = imageHeight / image.height;
+  ctx.fillStyle = ctx.createPattern(image, 'repeat');
+  ctx.setTransform(tileScaleX, 0, 0, tileScaleY, x, y);
+  ctx.fillRect(
+      -x / tileScaleX, -y / tileScaleY, width / tileScaleX,
+      height / tileScaleY);
+  ctx.setTransform(1, 0, 0, 1, 0, 0);
+}
+
+/**
+ * Loads an image, draws it onto a canvas element with `draw(ctx, image)`, and
+ * returns the canvas's pixel data.
+ */
+function loadImageWithDom(imageUrl, width, height, draw) {
+  return new Promise((resolve, reject) => {
+    const imageCanvas = document.createElement('canvas');
+    imageCanvas.width = width;
+    imageCanvas.height = height;
+    const image = new Image();
+    image.crossOrigin = 'Anonymous';
+    image.src = imageUrl;
+    image.addEventListener('load', () => {
+      const ctx = imageCanvas.getContext('2d');
+      draw(ctx, image);
+      resolve(ctx.getImageData(0, 0, width, height).data);
+    });
+    // e.g. the file isn't an image
+    image.addEventListener('error', () => {
+      reject(new Error('Cannot load the image'));
+    });
+  });
+}
+
+/**
+ * Loads an image, draws it onto an OffscreenCanvas with `draw(ctx, image)`,
+ * and returns the canvas's pixel data.
+ */
+async function loadImageOffscreen(imageUrl, width, height, draw) {
+  const response = await fetch(imageUrl);
+  if (!response.ok) {
+    // rather than decoding an error page
+    throw new Error(`HTTP status ${response.status}`);
+  }
+  const image = await createImageBitmap(await response.blob());
+  const ctx = new OffscreenCanvas(width, height).getContext('2d');
+  draw(ctx, image);
+  image.close();
+  return ctx.getImageData(0, 0, width, height).data;
+}
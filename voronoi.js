@@ -1,166 +1,999 @@
-import {renderAntialiasedBorders} from './antialias.js';
-import {createCanvas} from './canvas.js';
-import {distance, loadImagePixelData, rand} from './util.js';
+import {renderAntialiasedBorders, renderOutlines} from './antialias.js';
+import {createCanvas, createImageBuffer} from './canvas.js';
+import {findNeighbors, getAdjacencyGraph} from './graph.js';
+import {
+  estimateTileColors,
+  measureMosaicError,
+  measureTileErrors,
+} from './mosaic.js';
+import {
+  getPalette,
+  parsePalette,
+  pickColor,
+  pickNeighborColors,
+  randomColor,
+  usesNeighbors,
+} from './palette.js';
+import {drawHeatmap} from './stats.js';
+import {assignWeights, placeCapitals, usesImage} from './placement.js';
+import {renderShading} from './shading.js';
+import {
+  createRandom,
+  distance,
+  getDistanceBounds,
+  getWeightScale,
+  hasSimpleTiles,
+  loadImagePixelData,
+  nextFrame,
+  randomSeed,
+  setMetric,
+  setSeamless,
+  setWeighting,
+  torus,
+  weightDistance,
+  wrapDelta,
+} from './util.js';
 
 // reuse these across renders to reduce garbage collection time
 let tilesArray, pixelsArray, unsetId;
 
-/** Draws a random Voronoi diagram. */
+/**
+ * Stops reusing the pixels array of the last render, e.g. because its buffer
+ * has been transferred to another thread, which leaves it empty.
+ */
+export function releasePixelsArray() {
+  pixelsArray = undefined;
+}
+
+/**
+ * Draws a random Voronoi diagram. In a browser this renders onto a DOM canvas
+ * attached to `container`; without a DOM (or with `container: null`) it renders
+ * into an in-memory image buffer instead, so `width` and `height` are required.
+ * A custom backend can be supplied via `createCanvas`.
+ *
+ * The same `seed` always produces the same tiles and colors. If `colorSeed` is
+ * given, the colors are generated from it instead (see recolor). Colors are
+ * picked from the `palette` according to `coloring` (see palette.js). Capitals
+ * are placed in an `outputWidth` x `outputHeight` area and scaled to the
+ * canvas, so a small preview has the same layout as the full-size render. To
+ * render existing tiles instead of random ones, pass them as `tiles`. The
+ * capitals' `distribution` is one of the names in placement.js.
+ *
+ * With a `weighting` other than 'none' (see setWeighting), the distance to
+ * each tile is weighted by its `weight`, which comes from the `weights` source
+ * in placement.js. `weightScale` defaults to the typical distance between
+ * capitals on the canvas, and is recorded in the returned state.
+ *
+ * If `seamless`, distances wrap around the edges of the canvas (see
+ * setSeamless), so that the image can be tiled without seams.
+ *
+ * For a nested diagram, each count in `subdivisions` splits every cell into
+ * that many cells of its own (see subdivideTiles), whose colors vary from
+ * their parent's by up to `subdivisionVariation`. The returned state's `tiles`
+ * are then the bottom level, and `levels` holds the levels above it; to render
+ * an existing nested diagram, pass both `tiles` and `levels`.
+ *
+ * Passing an AbortSignal as `signal` makes the render yield periodically, so
+ * it can be cancelled; `onProgress(stage, fraction)` is called as it goes, and
+ * `onPreview(state)` right before antialiasing or shading starts. Antialiasing
+ * supersamples the border pixels in the pattern named by `antialiasQuality`
+ * (see ANTIALIAS_QUALITIES in antialias.js).
+ *
+ * Each cell is shaded according to `shading` (see SHADINGS in shading.js),
+ * after antialiasing and before any overlays.
+ *
+ * With an `imageUrl`, the tiles are colored as a mosaic of the image instead,
+ * each by the estimator named by `mosaicColor` (see MOSAIC_COLORS in
+ * mosaic.js), and the state records the `mosaicError`. If `refine`, only some
+ * of the `numTiles` tiles are placed at random, and the rest go where the
+ * image is most detailed (see refineTiles), until the mean error per pixel is
+ * at most `refineError`. Nested diagrams aren't refined. The image is fitted
+ * to the output as `imageFit` says (see IMAGE_FITS in util.js), with
+ * `imageBackground` around it, and zoomed by `imageZoom` and panned by
+ * `imagePanX` and `imagePanY` (see loadImagePixelData).
+ */
 export async function drawRandomVoronoiDiagram({
   antialias = true,
-  container = document.body,
+  antialiasQuality = '3x3',
+  borderColor,
+  borderWidth,
+  colorSeed,
+  coloring = 'random',
+  container = globalThis.document ? document.body : null,
+  createCanvas: canvasFactory = container ? createCanvas : createImageBuffer,
+  displayBorders = false,
   displayCapitals = false,
+  displayDelaunay = false,
+  displayParentBorders = false,
+  distribution = 'uniform',
+  heatmap = 'none',
+  imageBackground = '#000000',
+  imageFit = 'stretch',
+  imagePanX = 0,
+  imagePanY = 0,
   imageUrl = null,
+  imageZoom = 1,
+  levels: givenLevels,
+  metric,
+  mosaicColor = 'mean',
   numTiles,
-  width = window.innerWidth,
-  height = window.innerHeight,
+  palette = 'random',
+  refine = false,
+  refineError = 0,
+  seamless = false,
+  seed = randomSeed(),
+  shading = 'none',
+  subdivisions = [],
+  subdivisionVariation = 0.5,
+  tiles: givenTiles,
+  weighting = 'none',
+  weights = 'random',
+  weightScale,
+  width = globalThis.innerWidth,
+  height = globalThis.innerHeight,
+  outputWidth = width,
+  outputHeight = height,
+  signal,
+  onProgress,
+  onPreview,
 }) {
   console.log('');
   console.time('drawRandomVoronoiDiagram_' + numTiles);
 
+  if (metric !== undefined) {
+    setMetric(metric);
+  }
   const hasImageUrl = !!imageUrl;
-  const tiles = placeTiles(numTiles, width, height, hasImageUrl);
-  const canvas = createCanvas(width, height);
-  if (hasImageUrl) {
+  const imageOptions = {
+    imageBackground,
+    imageFit,
+    imagePanX,
+    imagePanY,
+    imageUrl,
+    imageZoom,
+    outputWidth,
+  };
+  const refining =
+      refine && hasImageUrl && !givenTiles && subdivisions.length === 0;
+  let tiles = givenTiles;
+  let levels = givenLevels;
+  // a coloring by neighbors has to wait until the pixels are known
+  let neighborColorsRandom = null;
+  if (!tiles) {
+    const needsImage = usesImage(distribution) || weights === 'brightness';
+    const imgPixelData = hasImageUrl && needsImage ?
+        await loadFittedImage(imageOptions, outputWidth, outputHeight) :
+        null;
+    const random = createRandom(seed);
+    tiles = placeTiles(
+        refining ?
+            Math.max(1, Math.round(numTiles * REFINE_START_FRACTION)) :
+            numTiles,
+        outputWidth, outputHeight, hasImageUrl, random,
+        {distribution, imgPixelData, weights});
+    if (subdivisions.length > 0) {
+      // the cells are sampled by distance, so set up distances at the size
+      // that the capitals were placed at
+      setWeighting(
+          weighting, getWeightScale(numTiles, outputWidth, outputHeight));
+      setSeamless(seamless, outputWidth, outputHeight);
+      levels = subdivideTiles(
+          tiles, subdivisions, outputWidth, outputHeight, random,
+          subdivisionVariation);
+      tiles = levels.pop();
+    }
+    const hasDefaultColors = colorSeed === undefined &&
+        palette === 'random' && coloring === 'random';
+    if (!hasImageUrl && !hasDefaultColors) {
+      // carry on with the seed's sequence unless there's a seed for the colors
+      const colorsRandom =
+          colorSeed === undefined ? random : createRandom(colorSeed);
+      if (usesNeighbors(coloring)) {
+        neighborColorsRandom = colorsRandom;
+      } else {
+        randomizeDiagramColors({tiles, levels}, colorsRandom, {
+          palette,
+          coloring,
+          width: outputWidth,
+          height: outputHeight,
+          variation: subdivisionVariation,
+        });
+      }
+    }
+    if (outputWidth !== width || outputHeight !== height) {
+      tiles = scaleTiles(tiles, outputWidth, outputHeight, width, height);
+      levels = levels?.map(
+          level => scaleTiles(level, outputWidth, outputHeight, width, height));
+    }
+  }
+  // weights belong to the top level, and refined tiles count too
+  weightScale ??= getWeightScale(
+      refining ? numTiles : (levels ? levels[0] : tiles).length, width,
+      height);
+  setWeighting(weighting, weightScale);
+  setSeamless(seamless, width, height);
+  const canvas = canvasFactory(width, height);
+  const colorsLater = hasImageUrl || neighborColorsRandom;
+  if (colorsLater) {
     // if there's an image, we can save some time by not setting pixels during
-    // the initial render (since they're set during renderImage anyway)
+    // the initial render (since they're set during renderImage anyway), and
+    // likewise for colors that depend on the pixels
     canvas.togglePixelSetters(false);
   }
-  const pixels = calculateAndRenderPixels(tiles, canvas);
-  if (hasImageUrl) {
+  let pixels = levels ?
+      await calculateNestedPixels(levels, tiles, canvas, {signal, onProgress}) :
+      await calculateAndRenderPixels(tiles, canvas, {signal, onProgress});
+  if (refining) {
+    [tiles, pixels] = await refineTiles(
+        tiles, pixels, canvas, numTiles,
+        {...imageOptions, mosaicColor, refineError, signal, onProgress});
+  }
+  if (colorsLater) {
     // re-enable drawing
     canvas.togglePixelSetters(true);
   }
-  canvas.attachToDom(container);
+  if (neighborColorsRandom) {
+    const neighbors = findNeighbors(tiles.length, pixels, width, height);
+    randomizeColors(
+        tiles, neighborColorsRandom, {palette, coloring, neighbors});
+    if (levels) {
+      paintPixels({tiles, canvas, pixels});
+    } else {
+      await renderCanvas(
+          {allTiles: tiles, tilesSubset: tiles, canvas, pixels}, 'colors',
+          {signal, onProgress});
+    }
+  }
+  if (container) {
+    canvas.attachToDom(container);
+  }
 
-  const state = {tiles, canvas, pixels};
+  const state = {seed, colorSeed, tiles, levels, canvas, pixels, weightScale};
+  const options = {
+    antialias,
+    antialiasQuality,
+    borderColor,
+    borderWidth,
+    displayBorders,
+    displayCapitals,
+    displayDelaunay,
+    displayParentBorders,
+    heatmap,
+    ...imageOptions,
+    mosaicColor,
+    shading,
+    signal,
+    onProgress,
+    onPreview,
+  };
   if (imageUrl) {
-    await renderImage(state, {antialias, displayCapitals, imageUrl});
+    await renderImage(state, options);
   } else {
-    await postprocess(state, {antialias, displayCapitals, imageUrl});
+    await postprocess(state, options);
   }
 
   console.timeEnd('drawRandomVoronoiDiagram_' + numTiles);
   return state;
 }
 
-/** Reassigns random colors to each tile and then re-renders. */
+/**
+ * Renders the Voronoi diagram of the given tiles synchronously, without any
+ * DOM access. Returns the state `{tiles, canvas, pixels}`, where `pixels` maps
+ * each pixelIndex to a tileIndex and `canvas.data` is the RGBA image. Note that
+ * the pixels array is reused (and overwritten) by the next render.
+ *
+ * Each tile must look like `{i, x, y, color}`, where `i` is its index in
+ * `tiles`, (x, y) are integer pixel coordinates and `color` is [r, g, b]. For
+ * a `weighting` other than 'none', tiles also need a `weight` in [0, 1]. See
+ * drawRandomVoronoiDiagram for `seamless`, for `levels`, which makes this the
+ * bottom level of a nested diagram, and for `antialiasQuality` and `shading`.
+ */
+export function renderVoronoiDiagram({
+  tiles,
+  levels,
+  width,
+  height,
+  metric,
+  seamless = false,
+  weighting = 'none',
+  weightScale = getWeightScale((levels ?? [tiles])[0].length, width, height),
+  antialias = false,
+  antialiasQuality = '3x3',
+  shading = 'none',
+  canvas = createImageBuffer(width, height),
+}) {
+  if (metric !== undefined) {
+    setMetric(metric);
+  }
+  setWeighting(weighting, weightScale);
+  setSeamless(seamless, width, height);
+  const topTiles = levels ? levels[0] : tiles;
+  let pixels = resetPixels(topTiles, width, height);
+  renderRecursive(
+      {allTiles: topTiles, tilesSubset: new Set(topTiles), canvas, pixels},
+      {minX: 0, minY: 0, maxX: width - 1, maxY: height - 1});
+  if (levels) {
+    pixels = assignNestedPixels(levels, tiles, pixels, width);
+    paintPixels({tiles, canvas, pixels});
+  }
+  const state = {tiles, levels, canvas, pixels, weightScale};
+  if (antialias) {
+    renderAntialiasedBorders(state, antialiasQuality);
+  }
+  renderShading(state, shading);
+  return state;
+}
+
+/**
+ * Reassigns random colors to each tile and then re-renders. The colors are
+ * generated from a new `state.colorSeed`, so they can be reproduced. See
+ * randomizeDiagramColors for the `palette`, `coloring` and
+ * `subdivisionVariation` options.
+ */
 export async function recolor(state, options) {
   console.time('recolor');
   options.imageUrl = null;
-  for (const tile of state.tiles) {
-    tile.color[0] = rand(256);
-    tile.color[1] = rand(256);
-    tile.color[2] = rand(256);
-  }
+  state.colorSeed = randomSeed();
+  const {tiles, canvas, pixels} = state;
+  randomizeDiagramColors(state, createRandom(state.colorSeed), {
+    palette: options.palette,
+    coloring: options.coloring,
+    width: canvas.width,
+    height: canvas.height,
+    neighbors: usesNeighbors(options.coloring) ?
+        findNeighbors(tiles.length, pixels, canvas.width, canvas.height) :
+        undefined,
+    variation: options.subdivisionVariation,
+  });
   await rerender(state, options);
   console.timeEnd('recolor');
 }
 
-/** Rerenders given an existing state. */
+/**
+ * Assigns a random color to each tile, in place. The colors are picked from
+ * the `palette` spec according to `coloring` (see palette.js), where gradients
+ * run across a `width` x `height` canvas. A gradient without a palette runs
+ * between two random colors. Colorings by neighbors need each tile's
+ * `neighbors` (see findNeighbors); without them, colors are picked at random.
+ */
+export function randomizeColors(
+    tiles, random = Math.random,
+    {palette = 'random', coloring = 'random', width, height, neighbors} = {}) {
+  let colors = getPalette(palette);
+  if (usesNeighbors(coloring) && neighbors) {
+    pickNeighborColors(colors, neighbors, random, coloring)
+        .forEach((color, tileIndex) => tiles[tileIndex].color.set(color));
+    return;
+  }
+  if (!colors && coloring === 'gradient') {
+    colors = [randomColor(random), randomColor(random)];
+  }
+  for (const tile of tiles) {
+    tile.color.set(
+        pickColor(colors, tile.x, tile.y, random, {coloring, width, height}));
+  }
+}
+
+/**
+ * Assigns random colors to the tiles of a diagram, in place, like
+ * randomizeColors. In a nested diagram (see subdivideTiles), the top level is
+ * colored instead and each level below inherits its parent's colors, varied by
+ * up to `variation`, unless the coloring is by neighbors.
+ */
+export function randomizeDiagramColors(
+    {tiles, levels}, random = Math.random, options = {}) {
+  if (!levels || usesNeighbors(options.coloring)) {
+    randomizeColors(tiles, random, options);
+    return;
+  }
+  randomizeColors(levels[0], random, {...options, neighbors: undefined});
+  const allLevels = [...levels, tiles];
+  for (let level = 1; level < allLevels.length; ++level) {
+    inheritColors(
+        allLevels[level - 1], allLevels[level], random, options.variation);
+  }
+}
+
+/**
+ * Rerenders given an existing state. Accepts the same `signal`, `onProgress`
+ * and `onPreview` options as drawRandomVoronoiDiagram. The pixels map is kept
+ * as is, so changing the metric or weighting calls for a new diagram instead.
+ */
 export async function rerender(state, options) {
-  const {tiles, canvas, pixels} = state;
-  renderRecursive(
-      {allTiles: tiles, tilesSubset: tiles, canvas, pixels},
-      {minX: 0, minY: 0, maxX: canvas.width - 1, maxY: canvas.height - 1});
+  const {tiles, levels, canvas, pixels} = state;
+  if (levels) {
+    // nested cells needn't be convex, which renderRecursive relies on
+    paintPixels(state);
+  } else {
+    await renderCanvas(
+        {allTiles: tiles, tilesSubset: tiles, canvas, pixels}, 'pixels',
+        options);
+  }
   if (options.imageUrl) {
     await renderImage(state, options);
   } else {
+    state.mosaicError = undefined;
     await postprocess(state, options);
   }
 }
 
 /**
- * After a render, repaints canvas then optionally antialiases and displays
- * tile capitals.
+ * Returns copies of the tiles with each capital moved to the centroid of its
+ * cell, as measured on the pixels map. A capital stays put if its cell is
+ * empty or if another capital already claimed the same pixel, and if another
+ * capital claimed its own pixel too (e.g. a centroid outside its cell, which
+ * weighted and non-Euclidean cells can have), it moves to the nearest free
+ * pixel. On a torus (see setSeamless), cells that wrap around the edges are
+ * measured as one piece.
+ */
+export function relaxTiles({tiles, canvas, pixels}) {
+  const width = canvas.width;
+  const height = canvas.height;
+  // the sums of the pixels' offsets from their capitals
+  const sumX = new Float64Array(tiles.length);
+  const sumY = new Float64Array(tiles.length);
+  const count = new Uint32Array(tiles.length);
+  for (let y = 0; y < height; ++y) {
+    const rowOffset = width * y;
+    for (let x = 0; x < width; ++x) {
+      const tileIndex = pixels[x + rowOffset];
+      const tile = tiles[tileIndex];
+      sumX[tileIndex] += torus ? wrapDelta(x - tile.x, width) : x - tile.x;
+      sumY[tileIndex] += torus ? wrapDelta(y - tile.y, height) : y - tile.y;
+      count[tileIndex] += 1;
+    }
+  }
+  // the capitals of empty cells can't move, so claim their pixels first
+  const capitals = new Set();
+  tiles.forEach((tile, tileIndex) => {
+    if (count[tileIndex] === 0) {
+      capitals.add(tile.x + width * tile.y);
+    }
+  });
+  return tiles.map((tile, tileIndex) => {
+    if (count[tileIndex] === 0) {
+      return {...tile};
+    }
+    let x = tile.x + Math.round(sumX[tileIndex] / count[tileIndex]);
+    let y = tile.y + Math.round(sumY[tileIndex] / count[tileIndex]);
+    if (torus) {
+      x = (x + width) % width;
+      y = (y + height) % height;
+    }
+    if (capitals.has(x + width * y)) {
+      [x, y] = capitals.has(tile.x + width * tile.y) ?
+          findFreePixel(tile.x, tile.y, capitals, width, height) :
+          [tile.x, tile.y];
+    }
+    capitals.add(x + width * y);
+    return {...tile, x, y};
+  });
+}
+
+/**
+ * Returns the coordinates of the pixel nearest (x, y), ring by ring around it,
+ * that isn't in the set of pixelIndexes `taken`. Wraps around the edges on a
+ * torus. Returns [x, y] if every pixel is taken.
+ */
+function findFreePixel(x, y, taken, width, height) {
+  const maxRadius = Math.max(width, height);
+  for (let radius = 1; radius < maxRadius; ++radius) {
+    for (let dy = -radius; dy <= radius; ++dy) {
+      // the ends of the ring's row, or all of its top and bottom rows
+      const step = Math.abs(dy) === radius ? 1 : 2 * radius;
+      for (let dx = -radius; dx <= radius; dx += step) {
+        let freeX = x + dx;
+        let freeY = y + dy;
+        if (torus) {
+          freeX = (freeX % width + width) % width;
+          freeY = (freeY % height + height) % height;
+        } else if (freeX < 0 || freeX >= width || freeY < 0 ||
+                   freeY >= height) {
+          continue;
+        }
+        if (!taken.has(freeX + width * freeY)) {
+          return [freeX, freeY];
+        }
+      }
+    }
+  }
+  return [x, y];
+}
+
+/**
+ * Adds a tile with its capital at (x, y) and renders the change, recomputing
+ * only the pixels around the new tile. Returns the new tile, or null if there
+ * is already a capital at (x, y). Doesn't repaint. Like the other edits, this
+ * flattens a nested diagram, since the changed cells aren't clipped to their
+ * parents.
+ */
+export function addTile(
+    state, x, y, color = new Uint8ClampedArray(3), weight = 0) {
+  const {tiles} = state;
+  if (tiles.some(tile => tile.x === x && tile.y === y)) {
+    return null;
+  }
+  state.levels = undefined;
+  const tile = {i: tiles.length, x, y, color, weight};
+  tiles.push(tile);
+  // make sure the pixels array can hold the new tileIndex
+  if (getRequiredBytes(tiles.length) !== state.pixels.BYTES_PER_ELEMENT) {
+    const pixels = createPixelsArray(tiles.length, state.pixels.length);
+    pixels.set(state.pixels);
+    state.pixels = pixels;
+  }
+  claimPixels(state, tile);
+  return tile;
+}
+
+/**
+ * Removes the given tile, handing its pixels to its neighbors. To keep tile
+ * indexes contiguous, the last tile takes over the removed tile's index.
+ * Doesn't repaint.
+ */
+export function removeTile(state, tileIndex) {
+  const {tiles} = state;
+  if (tiles.length === 1) {
+    return;
+  }
+  releasePixels(state, tiles[tileIndex]);
+  const lastIndex = tiles.length - 1;
+  if (tileIndex !== lastIndex) {
+    const lastTile = tiles[lastIndex];
+    lastTile.i = tileIndex;
+    tiles[tileIndex] = lastTile;
+    const pixels = state.pixels;
+    for (let pixelIndex = 0; pixelIndex < pixels.length; ++pixelIndex) {
+      if (pixels[pixelIndex] === lastIndex) {
+        pixels[pixelIndex] = tileIndex;
+      }
+    }
+  }
+  tiles.pop();
+}
+
+/**
+ * Moves the given tile's capital to (x, y) and renders the change, recomputing
+ * only the pixels around its old and new cells. Returns false if there is
+ * already a capital at (x, y). Doesn't repaint.
+ */
+export function moveTile(state, tileIndex, x, y) {
+  const tile = state.tiles[tileIndex];
+  if (state.tiles.some(other => other.x === x && other.y === y)) {
+    return tile.x === x && tile.y === y;
+  }
+  releasePixels(state, tile);
+  tile.x = x;
+  tile.y = y;
+  claimPixels(state, tile);
+  return true;
+}
+
+/**
+ * Sets the weight of the given tile and renders the change, as for moveTile.
+ * Doesn't repaint.
+ */
+export function setTileWeight(state, tileIndex, weight) {
+  const tile = state.tiles[tileIndex];
+  releasePixels(state, tile);
+  tile.weight = weight;
+  claimPixels(state, tile);
+}
+
+/**
+ * Hands the pixels of the given tile's cell to the neighboring tiles, as if it
+ * had been removed. Only the bounding box of the cell is re-rendered.
+ */
+function releasePixels(state, tile) {
+  const {canvas, pixels} = state;
+  state.levels = undefined;
+  const width = canvas.width;
+  unsetId = getUnsetId(pixels);
+  // unset the cell's pixels while finding its bounding box
+  const box = {minX: Infinity, minY: Infinity, maxX: -1, maxY: -1};
+  for (let pixelIndex = 0; pixelIndex < pixels.length; ++pixelIndex) {
+    if (pixels[pixelIndex] === tile.i) {
+      pixels[pixelIndex] = unsetId;
+      const x = pixelIndex % width;
+      const y = (pixelIndex - x) / width;
+      expandBox(box, x, y);
+    }
+  }
+  if (box.maxX !== -1) {
+    renderBoxIncrementally(state, box, [], tile);
+  }
+}
+
+/**
+ * Gives the given tile every pixel that is closer to it than to its current
+ * tile, i.e. its Voronoi cell. The cell is usually star-shaped around the
+ * capital, so it can be found by flood fill; then its bounding box is
+ * re-rendered.
  */
-function postprocess(state, {antialias, displayCapitals}) {
+function claimPixels(state, tile) {
+  const {tiles, canvas, pixels} = state;
+  const width = canvas.width;
+  const height = canvas.height;
+  unsetId = getUnsetId(pixels);
+  if (!hasSimpleTiles()) {
+    // otherwise the cell may not even be connected, so check every pixel
+    const box = {minX: Infinity, minY: Infinity, maxX: -1, maxY: -1};
+    for (let pixelIndex = 0; pixelIndex < pixels.length; ++pixelIndex) {
+      const tileIndex = pixels[pixelIndex];
+      const x = pixelIndex % width;
+      const y = (pixelIndex - x) / width;
+      if (tileIndex !== tile.i &&
+          tileDistance(x, y, tile) < tileDistance(x, y, tiles[tileIndex])) {
+        pixels[pixelIndex] = unsetId;
+        expandBox(box, x, y);
+      }
+    }
+    if (box.maxX !== -1) {
+      renderBoxIncrementally(state, box, [tile]);
+    }
+    return;
+  }
+  const box = {minX: tile.x, minY: tile.y, maxX: tile.x, maxY: tile.y};
+  const stack = [tile.x + width * tile.y];
+  while (stack.length > 0) {
+    const pixelIndex = stack.pop();
+    const tileIndex = pixels[pixelIndex];
+    if (tileIndex === unsetId || tileIndex === tile.i) {
+      continue;
+    }
+    const x = pixelIndex % width;
+    const y = (pixelIndex - x) / width;
+    const owner = tiles[tileIndex];
+    if (tileDistance(x, y, tile) >= tileDistance(x, y, owner)) {
+      continue;
+    }
+    pixels[pixelIndex] = unsetId;
+    expandBox(box, x, y);
+    // 8-connected, so that thin diagonal slivers are not missed
+    for (let dy = -1; dy <= 1; ++dy) {
+      for (let dx = -1; dx <= 1; ++dx) {
+        const nx = x + dx;
+        const ny = y + dy;
+        if (nx >= 0 && nx < width && ny >= 0 && ny < height) {
+          stack.push(nx + width * ny);
+        }
+      }
+    }
+  }
+  renderBoxIncrementally(state, box, [tile]);
+}
+
+/** Expands the box to include (x, y). */
+function expandBox(box, x, y) {
+  box.minX = Math.min(box.minX, x);
+  box.minY = Math.min(box.minY, y);
+  box.maxX = Math.max(box.maxX, x);
+  box.maxY = Math.max(box.maxY, y);
+}
+
+/**
+ * Re-renders the unset pixels in the given box. The candidate tiles are the
+ * ones that already own a pixel in or around the box (minus `excludedTile`)
+ * plus `extraTiles`, which is sufficient as long as only the unset pixels can
+ * change hands. If tiles aren't simple, start from all the tiles instead; see
+ * splitBoxByPruning.
+ */
+function renderBoxIncrementally(state, box, extraTiles, excludedTile) {
+  const {tiles, canvas, pixels} = state;
+  const width = canvas.width;
+  const height = canvas.height;
+  if (!hasSimpleTiles()) {
+    const tilesSubset = new Set(tiles);
+    tilesSubset.delete(excludedTile);
+    renderRecursive({allTiles: tiles, tilesSubset, canvas, pixels}, box);
+    return;
+  }
+  const tilesSubset = new Set(extraTiles);
+  const minX = Math.max(box.minX - 1, 0);
+  const maxX = Math.min(box.maxX + 1, width - 1);
+  const minY = Math.max(box.minY - 1, 0);
+  const maxY = Math.min(box.maxY + 1, height - 1);
+  for (let y = minY; y <= maxY; ++y) {
+    for (let x = minX; x <= maxX; ++x) {
+      const tileIndex = pixels[x + width * y];
+      if (tileIndex !== unsetId) {
+        tilesSubset.add(tiles[tileIndex]);
+      }
+    }
+  }
+  tilesSubset.delete(excludedTile);
+  renderRecursive({allTiles: tiles, tilesSubset, canvas, pixels}, box);
+}
+
+/**
+ * After a render, repaints canvas then optionally antialiases, shades the
+ * cells and draws the overlays.
+ */
+async function postprocess(state, options) {
+  const {
+    antialias,
+    antialiasQuality,
+    shading = 'none',
+    signal,
+    onProgress,
+    onPreview,
+  } = options;
   state.canvas.repaint();
-  if (displayCapitals) {
-    drawCapitals(state);
+  if (!antialias && shading === 'none') {
+    drawOverlays(state, options);
+    return;
+  }
+  if (onPreview) {
+    drawOverlays(state, options);
+    onPreview(state);
+    // outlines and heatmaps blend into the canvas data, so paint over them
+    // before antialiasing and shading the cells' colors
+    paintPixels(state);
   }
+  await nextFrame();
+  signal?.throwIfAborted();
   if (antialias) {
-    return new Promise(resolve => {
-      setTimeout(() => {
-        requestAnimationFrame(() => {
-          renderAntialiasedBorders(state);
-          state.canvas.repaint();
-          if (displayCapitals) {
-            drawCapitals(state);
-          }
-          resolve();
-        });
-      }, 0);
-    });
-  } else {
-    return Promise.resolve();
+    onProgress?.('antialias', 0);
+    renderAntialiasedBorders(state, antialiasQuality);
+    onProgress?.('antialias', 1);
+  }
+  if (shading !== 'none') {
+    onProgress?.('shading', 0);
+    renderShading(state, shading);
+    onProgress?.('shading', 1);
+  }
+  state.canvas.repaint();
+  drawOverlays(state, options);
+}
+
+/**
+ * Draws the requested overlays on a freshly repainted diagram: a `heatmap` of
+ * the tiles' stats (see HEATMAPS in stats.js) instead of their colors, the
+ * outline of each cell if `displayBorders`, edges of the Delaunay
+ * triangulation between neighboring cells if `displayDelaunay`, and the
+ * capitals (with the given radius) if `displayCapitals`. Outlines are
+ * `borderWidth` pixels wide, in the '#rrggbb' `borderColor`. For a nested
+ * diagram, `displayParentBorders` outlines the top-level cells twice as wide.
+ */
+export function drawOverlays(state, options, radius) {
+  const {
+    borderColor = '#000',
+    borderWidth = 2,
+    displayBorders,
+    displayCapitals,
+    displayDelaunay,
+    heatmap,
+  } = options;
+  const hasHeatmap = heatmap && heatmap !== 'none';
+  const displayParentBorders = options.displayParentBorders && !!state.levels;
+  if (hasHeatmap) {
+    drawHeatmap(state, heatmap);
+  }
+  if (displayBorders || displayParentBorders) {
+    const [borderRgb] = parsePalette(borderColor);
+    if (displayBorders) {
+      renderOutlines(state, borderWidth, borderRgb);
+    }
+    if (displayParentBorders) {
+      renderOutlines(
+          state, 2 * borderWidth, borderRgb,
+          getTopLevelIndexes(state.tiles, state.levels));
+    }
+  }
+  if (hasHeatmap || displayBorders || displayParentBorders) {
+    state.canvas.repaint();
+  }
+  if (displayDelaunay) {
+    drawDelaunayEdges(state);
+  }
+  if (displayCapitals) {
+    drawCapitals(state, radius);
+  }
+}
+
+/** Color of the lines drawn by drawDelaunayEdges. */
+const DELAUNAY_COLOR = '#fff';
+
+/**
+ * Draws a line between the capitals of each pair of cells that share a border
+ * (see getAdjacencyGraph). On a torus, a line that wraps around the edges is
+ * drawn from both ends.
+ */
+function drawDelaunayEdges(state) {
+  const {tiles, canvas} = state;
+  const graph = getAdjacencyGraph(state);
+  for (let tileIndex = 0; tileIndex < tiles.length; ++tileIndex) {
+    const tile = tiles[tileIndex];
+    for (const [nbrIndex, borderLength] of graph[tileIndex]) {
+      if (nbrIndex < tileIndex || borderLength === 0) {
+        continue;
+      }
+      const nbr = tiles[nbrIndex];
+      let dx = nbr.x - tile.x;
+      let dy = nbr.y - tile.y;
+      if (torus) {
+        dx = wrapDelta(dx, canvas.width);
+        dy = wrapDelta(dy, canvas.height);
+      }
+      canvas.drawLine(
+          tile.x, tile.y, tile.x + dx, tile.y + dy, DELAUNAY_COLOR);
+      if (tile.x + dx !== nbr.x || tile.y + dy !== nbr.y) {
+        canvas.drawLine(
+            nbr.x - dx, nbr.y - dy, nbr.x, nbr.y, DELAUNAY_COLOR);
+      }
+    }
   }
 }
 
 /** Draws a dot to represent each capital. */
-function drawCapitals({tiles, canvas}) {
+export function drawCapitals({tiles, canvas}, radius = CAPITAL_RADIUS) {
+  // on a torus, dots that poke over an edge reappear on the opposite edge
+  const offsets = torus ? [-1, 0, 1] : [0];
   for (let i = 0; i < tiles.length; ++i) {
     const tile = tiles[i];
-    if (relativeLuminance(tile.color) > 1275000 /* 50% luminance */) {
-      canvas.drawCircle(tile.x, tile.y, /* r= */ 5, '#000');
-    } else {
-      canvas.drawCircle(tile.x, tile.y, /* r= */ 5, '#fff');
+    const color = getCapitalColor(tile.color);
+    for (const dx of offsets) {
+      for (const dy of offsets) {
+        const x = tile.x + dx * canvas.width;
+        const y = tile.y + dy * canvas.height;
+        if (x + radius >= 0 && x - radius < canvas.width &&
+            y + radius >= 0 && y - radius < canvas.height) {
+          canvas.drawCircle(x, y, radius, color);
+        }
+      }
     }
   }
 }
 
+/** Radius of the dots drawn by drawCapitals. */
+export const CAPITAL_RADIUS = 5;
+
+/** Returns the color of a capital's dot: whichever contrasts with the tile. */
+export function getCapitalColor(tileColor) {
+  if (relativeLuminance(tileColor) > 1275000 /* 50% luminance */) {
+    return '#000';
+  } else {
+    return '#fff';
+  }
+}
+
 /** Returns relative luminance scaled to [0, 2550000] */
 function relativeLuminance(color) {
   // see https://en.wikipedia.org/wiki/Relative_luminance
   return 2126 * color[0] + 7152 * color[1] + 722 * color[2];
 }
 
-/** Recolors tiles to approximate the given image. */
-function renderImage(state, options) {
+/** The fraction of the tiles that refineTiles starts out with. */
+const REFINE_START_FRACTION = 0.25;
+
+/** How much refineTiles adds to the number of tiles each round, at most. */
+const REFINE_GROWTH = 0.25;
+
+/**
+ * Refines a mosaic of an image by splitting the tiles that match it worst.
+ * Each round colors the tiles (see estimateTileColors), then adds a capital at
+ * the worst-matching pixel of each of the tiles with the most error in total
+ * (see measureTileErrors), until there are `numTiles` tiles or the mean error
+ * per pixel is at most `refineError`. A new tile takes the weight of the tile
+ * it splits. Resolves with the refined [tiles, pixels].
+ */
+async function refineTiles(tiles, pixels, canvas, numTiles, options) {
+  console.time('refineTiles');
+  const {mosaicColor, refineError, signal, onProgress} = options;
+  const width = canvas.width;
+  const imgPixelData = await loadFittedImage(options, width, canvas.height);
+  // placeTiles reuses its tiles array, so don't add to it
+  tiles = tiles.slice();
+  const capitals = new Set(tiles.map(({x, y}) => x + width * y));
+  while (tiles.length < numTiles) {
+    signal?.throwIfAborted();
+    estimateTileColors({tiles, canvas, pixels}, imgPixelData, mosaicColor);
+    const {errors, worstPixels, meanError} =
+        measureTileErrors({tiles, canvas, pixels}, imgPixelData);
+    if (meanError <= refineError) {
+      break;
+    }
+    const numSplits = Math.min(
+        numTiles - tiles.length, Math.ceil(tiles.length * REFINE_GROWTH));
+    const worstTileIndexes =
+        tiles.map(tile => tile.i)
+            .filter(tileIndex => worstPixels[tileIndex] !== -1 &&
+                        !capitals.has(worstPixels[tileIndex]))
+            .sort((a, b) => errors[b] - errors[a])
+            .slice(0, numSplits);
+    if (worstTileIndexes.length === 0) {
+      break;
+    }
+    for (const tileIndex of worstTileIndexes) {
+      const pixelIndex = worstPixels[tileIndex];
+      const tile = {
+        i: tiles.length,
+        x: pixelIndex % width,
+        y: Math.floor(pixelIndex / width),
+        color: new Uint8ClampedArray(3),
+      };
+      if (tiles[tileIndex].weight !== undefined) {
+        tile.weight = tiles[tileIndex].weight;
+      }
+      tiles.push(tile);
+      capitals.add(pixelIndex);
+    }
+    pixels =
+        await calculateAndRenderPixels(tiles, canvas, {signal, onProgress});
+    onProgress?.('refine', tiles.length / numTiles);
+  }
+  console.timeEnd('refineTiles');
+  return [tiles, pixels];
+}
+
+/**
+ * Recolors tiles to approximate the given image, estimating each tile's color
+ * as `options.mosaicColor` says (see MOSAIC_COLORS in mosaic.js). Then
+ * measures how close the rendered mosaic comes to the image, as
+ * `state.mosaicError` (see measureMosaicError).
+ */
+async function renderImage(state, options) {
   console.time('renderImage');
 
   const {tiles, canvas, pixels} = state;
-  const width = canvas.width;
-  const height = canvas.height;
+  const imgPixelData =
+      await loadFittedImage(options, canvas.width, canvas.height);
+  options.signal?.throwIfAborted();
+  estimateTileColors(state, imgPixelData, options.mosaicColor);
 
-  return loadImagePixelData(options.imageUrl, width, height)
-      .then(async (imgPixelData) => {
-        // determine new tile colors by averaging the image color over each
-        // tile
-        const newTileColors = tiles.map(tile => {
-          return {count: 0, rgb: new Uint32Array(3)};
-        });
-        for (let pixelIndex = 0; pixelIndex < pixels.length; ++pixelIndex) {
-          const tileIndex = pixels[pixelIndex];
-          const newColor = newTileColors[tileIndex];
-          newColor.count += 1;
-          const imgR = pixelIndex << 2;
-          newColor.rgb[0] += imgPixelData[imgR];
-          newColor.rgb[1] += imgPixelData[imgR + 1];
-          newColor.rgb[2] += imgPixelData[imgR + 2];
-        }
+  // re-render
+  if (state.levels) {
+    paintPixels(state);
+  } else {
+    await renderCanvas(
+        {allTiles: tiles, tilesSubset: tiles, canvas, pixels}, 'image',
+        options);
+  }
+  console.timeEnd('renderImage');
 
-        // recolor
-        for (let tileIndex = 0; tileIndex < tiles.length; ++tileIndex) {
-          const tile = tiles[tileIndex];
-          const newColor = newTileColors[tileIndex];
-          tile.color[0] = newColor.rgb[0] / newColor.count;
-          tile.color[1] = newColor.rgb[1] / newColor.count;
-          tile.color[2] = newColor.rgb[2] / newColor.count;
-        }
+  await postprocess(state, options);
+  state.mosaicError = measureMosaicError(canvas.data, imgPixelData);
+}
 
-        // re-render
-        renderRecursive(
-            {allTiles: tiles, tilesSubset: tiles, canvas, pixels},
-            {minX: 0, minY: 0, maxX: width - 1, maxY: height - 1});
-        console.timeEnd('renderImage');
+/**
+ * Loads the image in `options.imageUrl` at the given size, fitted as the
+ * options say (see drawRandomVoronoiDiagram). The image's own size is the size
+ * it has on the `options.outputWidth` wide output.
+ */
+function loadFittedImage(options, width, height) {
+  return loadImagePixelData(options.imageUrl, width, height, {
+    mode: options.imageFit,
+    background: options.imageBackground,
+    panX: options.imagePanX,
+    panY: options.imagePanY,
+    zoom: options.imageZoom,
+    scale: width / (options.outputWidth ?? width),
+  });
+}
 
-        return postprocess(state, options);
-      });
+/**
+ * Returns copies of the given tiles with their capitals moved from a
+ * `fromWidth` x `fromHeight` canvas to the corresponding pixels on a
+ * `toWidth` x `toHeight` canvas. The copies share the originals' colors.
+ */
+export function scaleTiles(tiles, fromWidth, fromHeight, toWidth, toHeight) {
+  const scaleX = toWidth / fromWidth;
+  const scaleY = toHeight / fromHeight;
+  return tiles.map(tile => ({
+    ...tile,
+    x: Math.min(Math.floor((tile.x + 0.5) * scaleX), toWidth - 1),
+    y: Math.min(Math.floor((tile.y + 0.5) * scaleY), toHeight - 1),
+  }));
 }
 
-/** Places tile capitals randomly. */
-function placeTiles(numTiles, width, height, hasImageUrl) {
+/**
+ * Places tile capitals randomly, using `random` (see createRandom) as the
+ * source of randomness. See placement.js for the available distributions and
+ * sources of `weights`; the image-based ones need the image's `imgPixelData`.
+ */
+export function placeTiles(
+    numTiles, width, height, hasImageUrl, random = Math.random,
+    {distribution = 'uniform', imgPixelData, weights = 'random'} = {}) {
   console.time('placeTiles');
 
   if (!tilesArray) {
@@ -170,36 +1003,225 @@ function placeTiles(numTiles, width, height, hasImageUrl) {
   }
   const tiles = tilesArray;
 
-  const capitals = new Set();
+  const capitals = placeCapitals(
+      distribution, numTiles, width, height, random, imgPixelData);
   for (let i = 0; i < numTiles; ++i) {
-    let x = rand(width);
-    let y = rand(height);
-    let pixelIndex = x + width * y;
-    while (capitals.has(pixelIndex)) {
-      x = rand(width);
-      y = rand(height);
-      pixelIndex = x + width * y;
-    }
-    capitals.add(pixelIndex);
-    const color = hasImageUrl ?
-        new Uint8ClampedArray(3) :
-        crypto.getRandomValues(new Uint8ClampedArray(3));
+    const x = capitals[i] % width;
+    const y = Math.floor(capitals[i] / width);
+    const color = new Uint8ClampedArray(3);
+    if (!hasImageUrl) {
+      color.set(randomColor(random));
+    }
     tiles[i] = {i, x, y, color};
   }
+  assignWeights(tiles, weights, width, random, imgPixelData);
 
   console.timeEnd('placeTiles');
   return tiles;
 }
 
+/** The most that a subdivided tile's color is lightened or darkened by. */
+const MAX_SHADE = 64;
+
+/** The most that each channel of a subdivided tile's color is shifted by. */
+const MAX_TINT = 24;
+
+/** Attempts at placing a capital in its parent's cell before giving up. */
+const MAX_SAMPLE_ATTEMPTS = 64;
+
+/**
+ * Subdivides each cell of a diagram into a Voronoi diagram of its own, once
+ * for each count in `subdivisions`, so that every cell of a level holds that
+ * many cells of the next. Each capital is placed at random within its parent's
+ * cell, which is found by distance rather than on a pixels map so that the
+ * layout doesn't depend on the resolution. Colors vary from the parent's color
+ * by up to `variation`, in [0, 1]. Returns the levels, the given tiles first;
+ * each tile below the top level records the tileIndex of its `parent` in the
+ * level above. Distances must already be set up (see setWeighting).
+ */
+export function subdivideTiles(
+    tiles, subdivisions, width, height, random = Math.random,
+    variation = 0.5) {
+  console.time('subdivideTiles');
+  const levels = [tiles];
+  // the tiles of each level below the top, grouped by parent
+  const groups = [null];
+  for (const count of subdivisions) {
+    const parents = levels[levels.length - 1];
+    // about the size of a parent's cell
+    const radius = Math.sqrt(width * height / parents.length);
+    const children = [];
+    for (const parent of parents) {
+      for (let k = 0; k < count; ++k) {
+        const [x, y] = sampleCell(
+            parent, levels, groups, radius, width, height, random);
+        const color = new Uint8ClampedArray(3);
+        children.push({i: children.length, x, y, color, parent: parent.i});
+      }
+    }
+    inheritColors(parents, children, random, variation);
+    levels.push(children);
+    groups.push(groupByParent(children, parents.length));
+  }
+  console.timeEnd('subdivideTiles');
+  return levels;
+}
+
+/**
+ * Picks a random pixel in the cell of a tile from the bottom of the given
+ * levels, within `radius` of its capital. The radius shrinks when the cell
+ * turns out to be smaller. Falls back to the capital itself.
+ */
+function sampleCell(tile, levels, groups, radius, width, height, random) {
+  for (let attempt = 1; attempt <= MAX_SAMPLE_ATTEMPTS; ++attempt) {
+    const angle = 2 * Math.PI * random();
+    const r = radius * Math.sqrt(random());
+    let x = Math.round(tile.x + r * Math.cos(angle));
+    let y = Math.round(tile.y + r * Math.sin(angle));
+    if (torus) {
+      x = (x % width + width) % width;
+      y = (y % height + height) % height;
+    }
+    if (x >= 0 && x < width && y >= 0 && y < height &&
+        findNestedTile(x, y, levels, groups) === tile) {
+      return [x, y];
+    }
+    if (attempt % 8 === 0) {
+      radius /= 2;
+    }
+  }
+  return [tile.x, tile.y];
+}
+
+/**
+ * Finds the tile at the bottom of the given levels whose cell contains a given
+ * point, by finding the closest tile on each level among the children of the
+ * one found on the level above.
+ */
+function findNestedTile(x, y, levels, groups) {
+  let tile = findClosestTile(x, y, levels[0]);
+  for (let level = 1; level < levels.length; ++level) {
+    tile = findClosestTile(x, y, groups[level][tile.i]);
+  }
+  return tile;
+}
+
+/**
+ * Returns the tileIndex of each tile's ancestor on the top level of a nested
+ * diagram, given the `levels` above the tiles.
+ */
+export function getTopLevelIndexes(tiles, levels) {
+  let indexes = tiles.map(tile => tile.parent);
+  for (let level = levels.length - 1; level > 0; --level) {
+    indexes = indexes.map(tileIndex => levels[level][tileIndex].parent);
+  }
+  return indexes;
+}
+
+/** Groups the tiles of a level of a nested diagram by their parent. */
+function groupByParent(tiles, numParents) {
+  const groups = Array.from({length: numParents}, () => []);
+  for (const tile of tiles) {
+    groups[tile.parent].push(tile);
+  }
+  return groups;
+}
+
+/**
+ * Sets the color of each child to its parent's, lightened or darkened and
+ * tinted by random amounts that scale with `variation`, in [0, 1].
+ */
+function inheritColors(parents, children, random, variation = 0.5) {
+  for (const child of children) {
+    const parentColor = parents[child.parent].color;
+    const shade = MAX_SHADE * variation * (2 * random() - 1);
+    for (let channel = 0; channel < 3; ++channel) {
+      const tint = MAX_TINT * variation * (2 * random() - 1);
+      child.color[channel] = parentColor[channel] + shade + tint;
+    }
+  }
+}
+
+/**
+ * Like calculateAndRenderPixels, for the bottom level `tiles` of a nested
+ * diagram, given the `levels` above it (see subdivideTiles).
+ */
+async function calculateNestedPixels(levels, tiles, canvas, options) {
+  const topPixels = await calculateAndRenderPixels(levels[0], canvas, options);
+  options.signal?.throwIfAborted();
+  console.time('calculateNestedPixels');
+  const pixels = assignNestedPixels(levels, tiles, topPixels, canvas.width);
+  paintPixels({tiles, canvas, pixels});
+  console.timeEnd('calculateNestedPixels');
+  return pixels;
+}
+
+/**
+ * Turns the pixels map of the top level of a nested diagram into the map of
+ * its bottom level `tiles`, level by level: each pixel goes to the closest of
+ * the children of the tile that it belongs to, which clips the children's
+ * cells to their parent's. Returns the pixels map, which is a wider array if
+ * the tileIndexes no longer fit.
+ */
+function assignNestedPixels(levels, tiles, pixels, width) {
+  if (getRequiredBytes(tiles.length) > pixels.BYTES_PER_ELEMENT) {
+    pixelsArray = createPixelsArray(tiles.length, pixels.length);
+    pixelsArray.set(pixels);
+    unsetId = getUnsetId(pixelsArray);
+    pixels = pixelsArray;
+  }
+  const height = pixels.length / width;
+  const allLevels = [...levels, tiles];
+  for (let level = 1; level < allLevels.length; ++level) {
+    const groups =
+        groupByParent(allLevels[level], allLevels[level - 1].length);
+    for (let y = 0; y < height; ++y) {
+      const rowOffset = width * y;
+      for (let x = 0; x < width; ++x) {
+        const pixelIndex = x + rowOffset;
+        pixels[pixelIndex] =
+            findClosestTile(x, y, groups[pixels[pixelIndex]]).i;
+      }
+    }
+  }
+  return pixels;
+}
+
+/** Paints every pixel in its tile's color, a run of pixels at a time. */
+function paintPixels({tiles, canvas, pixels}) {
+  const width = canvas.width;
+  for (let rowOffset = 0; rowOffset < pixels.length; rowOffset += width) {
+    let left = rowOffset;
+    for (let right = rowOffset; right < rowOffset + width; ++right) {
+      if (right + 1 === rowOffset + width ||
+          pixels[right + 1] !== pixels[left]) {
+        canvas.setRowHorizontal(left, right, tiles[pixels[left]].color);
+        left = right + 1;
+      }
+    }
+  }
+}
+
 /**
  * Assigns a tile to every pixel, creating a map from pixelIndex to tileIndex,
  * while simultaneously coloring in those pixels.
  */
-function calculateAndRenderPixels(tiles, canvas) {
+async function calculateAndRenderPixels(tiles, canvas, options) {
   console.time('calculateAndRenderPixels');
-  const width = canvas.width;
-  const height = canvas.height;
-  // Reset the pixels array
+  const pixels = resetPixels(tiles, canvas.width, canvas.height);
+
+  // Divide and conquer!
+  const state = {allTiles: tiles, tilesSubset: new Set(tiles), canvas, pixels};
+  await renderCanvas(state, 'pixels', options);
+  console.timeEnd('calculateAndRenderPixels');
+  return pixels;
+}
+
+/**
+ * Returns the (reused) pixels array, with every pixel unset except for the
+ * tile capitals.
+ */
+function resetPixels(tiles, width, height) {
   if (pixelsArray === undefined || pixelsArray.length !== width * height ||
       getRequiredBytes(tiles.length) !== pixelsArray.BYTES_PER_ELEMENT) {
     pixelsArray = createPixelsArray(tiles.length, width * height);
@@ -208,16 +1230,13 @@ function calculateAndRenderPixels(tiles, canvas) {
   const pixels = pixelsArray.fill(unsetId);
 
   // seed pixels array by marking each capital; this helps when numTiles is
-  // extremely large
-  for (let tileIndex = 0; tileIndex < tiles.length; ++tileIndex) {
+  // extremely large. (Only for simple tiles, though: a weighted tile may not
+  // contain its own capital, and splitBoxByPruning doesn't need this.)
+  for (let tileIndex = 0; tileIndex < tiles.length && hasSimpleTiles();
+       ++tileIndex) {
     const tile = tiles[tileIndex];
     pixels[tile.x + width * tile.y] = tileIndex;
   }
-
-  // Divide and conquer!
-  const state = {allTiles: tiles, tilesSubset: new Set(tiles), canvas, pixels};
-  renderRecursive(state, {minX: 0, minY: 0, maxX: width - 1, maxY: height - 1});
-  console.timeEnd('calculateAndRenderPixels');
   return pixels;
 }
 
@@ -260,7 +1279,8 @@ const MIN_SIZE = 16;
  * We stop recursing once the box contains only one color, or the box is smaller
  * than MIN_SIZE (determined empirically).
  */
-function renderRecursive(state, {minX, minY, maxX, maxY}) {
+function renderRecursive(state, box) {
+  const {minX, minY, maxX, maxY} = box;
   const {allTiles, tilesSubset, canvas, pixels} = state;
   const boxWidth = maxX - minX + 1;
   const boxHeight = maxY - minY + 1;
@@ -282,6 +1302,20 @@ function renderRecursive(state, {minX, minY, maxX, maxY}) {
 
   if (boxWidth < MIN_SIZE || boxHeight < MIN_SIZE) {
     // fill in box; stop recursing
+    if (!hasSimpleTiles()) {
+      // a row may cross such a tile more than once, so the search for
+      // borders below could skip over a tile. Pixels that are already known
+      // (e.g. on rerender) still need painting.
+      for (let y = minY; y <= maxY; ++y) {
+        const rowOffset = canvas.width * y;
+        for (let x = minX; x <= maxX; ++x) {
+          const pixelIndex = x + rowOffset;
+          const tileIndex = calculatePixel(x, y, pixelIndex, state);
+          canvas.setPixel(pixelIndex, allTiles[tileIndex].color);
+        }
+      }
+      return;
+    }
     for (let y = minY; y <= maxY; ++y) {
       const rowOffset = canvas.width * y;
       let left = minX;
@@ -326,6 +1360,23 @@ function renderRecursive(state, {minX, minY, maxX, maxY}) {
     return;
   }
 
+  const [[state1, sub1], [state2, sub2]] = splitBox(state, box);
+  renderRecursive(state1, sub1);
+  renderRecursive(state2, sub2);
+}
+
+/**
+ * Cuts the given box in half along its longer side, calculating the boundary
+ * tiles along the way. Returns the [state, box] pair for each half.
+ */
+function splitBox(state, {minX, minY, maxX, maxY}) {
+  if (!hasSimpleTiles()) {
+    return splitBoxByPruning(state, {minX, minY, maxX, maxY});
+  }
+  const {allTiles, tilesSubset, canvas, pixels} = state;
+  const boxWidth = maxX - minX + 1;
+  const boxHeight = maxY - minY + 1;
+
   let sub1, sub2, tilesSubset1, tilesSubset2;
   if (boxWidth > boxHeight) {
     // CUT VERTICALLY
@@ -377,8 +1428,109 @@ function renderRecursive(state, {minX, minY, maxX, maxY}) {
     }
   }
 
-  renderRecursive({allTiles, tilesSubset: tilesSubset1, canvas, pixels}, sub1);
-  renderRecursive({allTiles, tilesSubset: tilesSubset2, canvas, pixels}, sub2);
+  return [
+    [{allTiles, tilesSubset: tilesSubset1, canvas, pixels}, sub1],
+    [{allTiles, tilesSubset: tilesSubset2, canvas, pixels}, sub2],
+  ];
+}
+
+/**
+ * Cuts the given box in half like splitBox, for tiles that aren't simple (see
+ * hasSimpleTiles). These needn't contain their capitals or even be connected,
+ * so a box may contain tiles that are neither on its boundary nor have a
+ * capital inside it. Instead, each half keeps the tiles that can't be ruled
+ * out by pruneTiles.
+ */
+function splitBoxByPruning(state, {minX, minY, maxX, maxY}) {
+  const {allTiles, tilesSubset, canvas, pixels} = state;
+  let sub1, sub2;
+  if (maxX - minX > maxY - minY) {
+    const middleX = (minX + maxX) >> 1;
+    sub1 = {minX: minX, minY: minY, maxX: middleX, maxY: maxY};  // left half
+    sub2 = {minX: middleX + 1, minY: minY, maxX: maxX, maxY: maxY};  // right
+  } else {
+    const middleY = (minY + maxY) >> 1;
+    sub1 = {minX: minX, minY: minY, maxX: maxX, maxY: middleY};  // top half
+    sub2 = {minX: minX, minY: middleY + 1, maxX: maxX, maxY: maxY};  // bottom
+  }
+  return [sub1, sub2].map(sub => [
+    {allTiles, tilesSubset: pruneTiles(tilesSubset, sub), canvas, pixels},
+    sub,
+  ]);
+}
+
+/**
+ * Returns the tiles that may be closest to some pixel in the given box. A tile
+ * is ruled out if the nearest pixel in the box is farther from it than the
+ * farthest pixel in the box is from some other tile. (Weighted distances grow
+ * with the plain distance, so bounds on the latter carry over.)
+ */
+function pruneTiles(tiles, box) {
+  tiles = [...tiles];
+  const nearestDists = new Float64Array(tiles.length);
+  let minFarthestDist = Infinity;
+  for (let i = 0; i < tiles.length; ++i) {
+    const tile = tiles[i];
+    let [nearestDist, farthestDist] = getDistanceBounds(tile.x, tile.y, box);
+    if (weightDistance) {
+      const weight = tile.weight || 0;
+      nearestDist = weightDistance(nearestDist, weight);
+      farthestDist = weightDistance(farthestDist, weight);
+    }
+    nearestDists[i] = nearestDist;
+    minFarthestDist = Math.min(minFarthestDist, farthestDist);
+  }
+  const candidates = new Set();
+  for (let i = 0; i < tiles.length; ++i) {
+    if (nearestDists[i] <= minFarthestDist) {
+      candidates.add(tiles[i]);
+    }
+  }
+  return candidates;
+}
+
+// boxes at most this many pixels are rendered without yielding
+const CHUNK_AREA = 1 << 16;
+
+// how long to work before yielding to the event loop
+const CHUNK_MS = 30;
+
+/**
+ * Renders the whole canvas. If the caller passed a `signal` or `onProgress`,
+ * the render is broken into chunks so that it can be cancelled between them.
+ */
+async function renderCanvas(state, stage, {signal, onProgress} = {}) {
+  const {canvas} = state;
+  const box =
+      {minX: 0, minY: 0, maxX: canvas.width - 1, maxY: canvas.height - 1};
+  if (!signal && !onProgress) {
+    renderRecursive(state, box);
+    return;
+  }
+  const totalArea = canvas.width * canvas.height;
+  let renderedArea = 0;
+  let chunkStart = performance.now();
+  // depth-first, like renderRecursive, but with an explicit stack so that we
+  // can pause
+  const stack = [[state, box]];
+  while (stack.length > 0) {
+    const [boxState, {minX, minY, maxX, maxY}] = stack.pop();
+    const area = (maxX - minX + 1) * (maxY - minY + 1);
+    if (area > CHUNK_AREA && boxState.tilesSubset.size !== 1) {
+      const [half1, half2] = splitBox(boxState, {minX, minY, maxX, maxY});
+      stack.push(half2, half1);
+      continue;
+    }
+    renderRecursive(boxState, {minX, minY, maxX, maxY});
+    renderedArea += area;
+    if (performance.now() - chunkStart > CHUNK_MS) {
+      onProgress?.(stage, Math.min(renderedArea / totalArea, 1));
+      await new Promise(resolve => setTimeout(resolve, 0));
+      signal?.throwIfAborted();
+      chunkStart = performance.now();
+    }
+  }
+  onProgress?.(stage, 1);
 }
 
 /**
@@ -517,7 +1669,7 @@ function findClosestTile(x, y, tiles) {
   let closestTile;
   let minDist = Infinity;
   for (const tile of tiles) {
-    const dist = distance(x, y, tile.x, tile.y);
+    const dist = tileDistance(x, y, tile);
     if (dist < minDist) {
       minDist = dist;
       closestTile = tile;
@@ -525,3 +1677,12 @@ function findClosestTile(x, y, tiles) {
   }
   return closestTile;
 }
+
+/**
+ * Returns the distance from a point to a tile's capital, weighted by the tile's
+ * weight if the diagram is weighted. Sufficient for comparing distances.
+ */
+function tileDistance(x, y, tile) {
+  const dist = distance(x, y, tile.x, tile.y);
+  return weightDistance ? weightDistance(dist, tile.weight || 0) : dist;
+}
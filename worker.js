@@ -0,0 +1,137 @@
+import {createImageBuffer} from './canvas.js';
+import {setMetric, setSeamless, setWeighting} from './util.js';
+import {
+  drawRandomVoronoiDiagram,
+  releasePixelsArray,
+  rerender,
+} from './voronoi.js';
+
+/**
+ * Renders Voronoi diagrams off the main thread. See renderer.js for the other
+ * end of this conversation.
+ *
+ * Requests:
+ *   {type: 'draw', id, options}
+ *   {type: 'rerender', id, diagramId, tiles, levels, pixels, width, height,
+ *    weightScale, options}
+ *   {type: 'cancel', id}
+ *   {type: 'import', id, url}  (a module that registers custom metrics)
+ * Responses:
+ *   {type: 'progress', id, stage, fraction}
+ *   {type: 'preview', id, data}  (the render before antialiasing and shading)
+ *   {type: 'done', id, diagramId, tiles, levels, pixels, weightScale,
+ *    mosaicError, data}
+ *   {type: 'done', id}  (for imports)
+ *   {type: 'cancelled', id, pixels}  (pixels are handed back on rerender)
+ *   {type: 'error', id, error, pixels}
+ */
+
+// AbortControllers for the requests that have not finished yet
+const controllers = new Map();
+
+// renders share the pixels array, so they must run one at a time
+let queue = Promise.resolve();
+
+// keep the most recent state around so that antialiasing can reuse the border
+// calculations from the previous render of the same diagram
+let lastState;
+
+self.addEventListener('message', ({data: message}) => {
+  if (message.type === 'cancel') {
+    const controller = controllers.get(message.id);
+    if (controller) {
+      controller.abort();
+    }
+    return;
+  }
+  const controller = new AbortController();
+  controllers.set(message.id, controller);
+  queue = queue
+      .then(() => handleRequest(message, controller.signal))
+      .finally(() => controllers.delete(message.id));
+});
+
+/** Performs a render request and posts the result. */
+async function handleRequest(message, signal) {
+  const {id, options} = message;
+  const renderOptions = {
+    ...options,
+    // overlays are drawn by the main thread, which has a real canvas
+    displayBorders: false,
+    displayCapitals: false,
+    displayDelaunay: false,
+    displayParentBorders: false,
+    heatmap: 'none',
+    signal,
+    onProgress(stage, fraction) {
+      self.postMessage({type: 'progress', id, stage, fraction});
+    },
+    onPreview({canvas}) {
+      const data = canvas.data.slice();
+      self.postMessage({type: 'preview', id, data}, [data.buffer]);
+    },
+  };
+
+  let state;
+  try {
+    signal.throwIfAborted();
+    if (message.type === 'import') {
+      await import(message.url);
+      self.postMessage({type: 'done', id});
+      return;
+    }
+    if (message.type === 'draw') {
+      state = await drawRandomVoronoiDiagram({
+        ...renderOptions,
+        container: null,
+        createCanvas: createImageBuffer,
+      });
+      state.id = id;
+    } else {
+      const {diagramId, tiles, levels, pixels, width, height, weightScale} =
+          message;
+      setMetric(options.metric);
+      setWeighting(options.weighting, weightScale);
+      setSeamless(options.seamless, width, height);
+      // an undefined diagramId means that the tiles have been edited, so no
+      // previous render can be reused
+      state = lastState && lastState.id === diagramId ?
+          lastState :
+          {id: diagramId ?? id};
+      state.tiles = tiles;
+      state.levels = levels;
+      state.pixels = pixels;
+      state.weightScale = weightScale;
+      state.canvas = createImageBuffer(width, height);
+      await rerender(state, renderOptions);
+    }
+  } catch (error) {
+    // hand back the pixels of a failed rerender, which are still valid
+    const pixels = message.pixels;
+    const transfer = pixels ? [pixels.buffer] : [];
+    if (error.name === 'AbortError') {
+      self.postMessage({type: 'cancelled', id, pixels}, transfer);
+    } else {
+      self.postMessage({type: 'error', id, error, pixels}, transfer);
+    }
+    return;
+  }
+
+  lastState = state;
+  const {tiles, levels, pixels, weightScale, mosaicError, canvas} = state;
+  self.postMessage(
+      {
+        type: 'done',
+        id,
+        diagramId: state.id,
+        tiles,
+        levels,
+        pixels,
+        weightScale,
+        mosaicError,
+        data: canvas.data,
+      },
+      [pixels.buffer, canvas.data.buffer]);
+  // the pixels may be the array that voronoi.js reuses, which is now empty
+  releasePixelsArray();
+}